@@ -0,0 +1,55 @@
+// accounts.js — The `accounts` section: services people sign in to, like
+// GitHub, npm or a cloud CLI. Loaded by the main process and CLI (policy,
+// checks) and by the renderer via a <script> tag (cards), so it stays free
+// of Node and DOM APIs.
+//
+//   accounts:
+//     - id: github
+//       name: GitHub
+//       check: gh auth status                  # succeeds when signed in
+//       identity: gh api user --jq .login      # prints who is signed in
+//       login: gh auth login --web             # interactive, in a terminal
+//       signup: https://github.com/signup      # for people without an account
+//       depends_on: gh
+//
+// Without an `identity` command, `identity_pattern` can pick the name out
+// of the check's output instead (its first capture group).
+
+// Every field of an account that holds a shell command
+const ACCOUNT_COMMAND_FIELDS = ['check', 'identity', 'login'];
+
+function accountCommands(account) {
+  return ACCOUNT_COMMAND_FIELDS.filter(field => account[field]).map(field => [field, account[field]]);
+}
+
+// Who is signed in, from a command's output: identity_pattern's first
+// capture group (or whole match), or else the first line
+function readIdentity(output, pattern) {
+  if (pattern) {
+    const match = String(output).match(new RegExp(pattern, 'm'));
+    return match ? (match[1] ?? match[0]).trim() || null : null;
+  }
+  return String(output).split('\n')[0].trim() || null;
+}
+
+// Whether someone is signed in, and as whom: { id, signedIn, identity }.
+// `run(command)` runs one of the account's commands and resolves to a
+// shell result. Checks like `gh auth status` print to stderr, so the
+// pattern sees both streams.
+async function accountStatus(account, run) {
+  const check = await run(account.check);
+  if (!check.succeeded) return { id: account.id, signedIn: false, identity: null };
+
+  let identity = null;
+  if (account.identity) {
+    const result = await run(account.identity);
+    if (result.succeeded) identity = readIdentity(result.stdout, account.identity_pattern);
+  } else if (account.identity_pattern) {
+    identity = readIdentity(`${check.stdout}\n${check.stderr}`, account.identity_pattern);
+  }
+  return { id: account.id, signedIn: true, identity };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { ACCOUNT_COMMAND_FIELDS, accountCommands, accountStatus };
+}
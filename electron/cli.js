@@ -0,0 +1,546 @@
+#!/usr/bin/env node
+// cli.js — Headless runner for .onboard files.
+// Uses the same config loader and shell helpers as the app, without a
+// window, so configs can run in CI images and over SSH. Results go to
+// stdout as JSON; install output streams to stderr, prefixed by item id.
+//
+// Exit codes: 0 success, 1 something missing or failed, 2 bad usage or config.
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { runCommand, streamCommand, shellEnvReady, refreshShellEnv, loginShellStatus, setConfigEnv } = require('./shell');
+const { loadConfigSource } = require('./config');
+const { configItems, resolveOrder, buildPlan, planScript, runScheduled } = require('./graph');
+const { splitSignature, signContent, generateKey, fingerprint, readKeyring } = require('./trust');
+const { readPolicy, deniedBy, checkConfigPolicy, HELPERS } = require('./policy');
+const { runPostInstall } = require('./postinstall');
+const { satisfies, extractVersion } = require('./semver');
+const { variableValues, fileStatus, applyFile } = require('./dotfiles');
+const { settingsBackend, settingsStatus, applySettings, revertSettings } = require('./settings');
+const { projectPath, cloneCommand, projectStatus } = require('./workspace');
+const { accountStatus } = require('./accounts');
+
+const USAGE = `Usage: onboard <command> [config] [options]
+
+Commands:
+  check <config>                  Report which items are installed, and in
+                                  their version range, which files and
+                                  settings match, which projects are cloned
+                                  and which accounts are signed in
+  plan <config> [--script]        Show what "install --all" would run, in order,
+                                  as JSON or as a reviewable bash script
+  install <config> --all          Install every missing item, write every file,
+                                  apply every setting and clone every project
+  install <config> <id>...        Install items (and any missing parents),
+                                  write files, apply settings or clone projects
+  revert <config>                 Put back the values the config's settings
+                                  replaced
+  doctor [config]                 Diagnose the environment the checks run in
+  keygen <key.pem>                Create a private key for signing configs
+  sign <file> --key <key.pem> --publisher <name> [--detached]
+                                  Sign a config, in place or as <file>.sig
+
+<config> is a file path, a URL, or bundled:<name>. A config read from a URL
+runs only when a publisher in the app's keyring signed it or it was
+accepted in the app; review it with "plan" first.
+
+Options:
+  --trust                         Run a config from a URL that isn't signed
+                                  by a trusted publisher
+  --concurrency <n>               Installs to run at once (default: from config)
+  --var <name>=<value>            Value for a file template variable; values
+                                  entered in the app are used otherwise`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { positional: [], all: false, script: false, concurrency: null, detached: false, trust: false, vars: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--all') {
+      args.all = true;
+    } else if (arg === '--script') {
+      args.script = true;
+    } else if (arg === '--concurrency') {
+      args.concurrency = Number(argv[++i]);
+      if (!Number.isInteger(args.concurrency) || args.concurrency < 1) {
+        throw new UsageError('--concurrency must be a positive integer');
+      }
+    } else if (arg === '--key' || arg === '--publisher') {
+      if (!argv[i + 1]) throw new UsageError(`${arg} needs a value`);
+      args[arg.slice(2)] = argv[++i];
+    } else if (arg === '--var') {
+      const match = (argv[++i] || '').match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/s);
+      if (!match) throw new UsageError('--var needs <name>=<value>');
+      args.vars[match[1]] = match[2];
+    } else if (arg === '--detached') {
+      args.detached = true;
+    } else if (arg === '--trust') {
+      args.trust = true;
+    } else if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new UsageError(`Unknown option ${arg}`);
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+function print(result) {
+  process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+}
+
+function section(config, item) {
+  return config.apps.includes(item) ? 'apps' : 'dependencies';
+}
+
+// Run every check in parallel; resolves to a Set of installed ids.
+async function checkInstalled(config) {
+  const items = configItems(config);
+  const results = await Promise.all(items.map(item => runCommand(item.check)));
+  return new Set(items.filter((_item, i) => results[i].succeeded).map(item => item.id));
+}
+
+// The installed version of an item, read the way the app reads it
+async function readInstalledVersion(item) {
+  const result = await runCommand(item.version_command || HELPERS.versionFlag(item.id));
+  return result.succeeded ? extractVersion(result.stdout, item.version_pattern) : null;
+}
+
+// The app's data folder (Electron's userData), so the CLI uses the
+// variable values, repo clones and backups folder the app does
+function appDataDir() {
+  const base = process.platform === 'darwin'
+    ? path.join(os.homedir(), 'Library', 'Application Support')
+    : process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'onboard.computer');
+}
+
+// Files in a config's extends/include chain that came from a URL with
+// no trusted signature, unless the app already accepted this exact version
+function untrustedSources(config, source) {
+  let approvals = {};
+  try {
+    approvals = JSON.parse(fs.readFileSync(path.join(appDataDir(), 'approved-configs.json'), 'utf8'));
+  } catch {}
+  if (approvals[source] === config.digest) return [];
+  return config.provenance
+    .filter(p => /^https?:\/\//.test(p.source) && p.status !== 'bundled' && p.status !== 'trusted')
+    .map(p => p.source);
+}
+
+// Run a command the CLI builds itself (git for files, defaults for
+// settings), which answers to the admin's deny list like config commands
+function runBuilt(command) {
+  const blocked = policyBlock(command);
+  return blocked ? { stdout: '', stderr: blocked, exitCode: 126, succeeded: false } : runCommand(command);
+}
+
+// Why the admin's deny list blocks a command, or null
+function policyBlock(command) {
+  const pattern = deniedBy(command, readPolicy(process.env.ONBOARD_POLICY));
+  return pattern ? `Blocked by policy: matches "${pattern}"` : null;
+}
+
+// What dotfiles.js needs to check and write files
+function fileContext(config, args) {
+  const dataDir = appDataDir();
+  return { dataDir, values: variableValues(config, dataDir, args.vars), run: runBuilt };
+}
+
+function settingsContext() {
+  return { dataDir: appDataDir(), run: runBuilt };
+}
+
+// Write a chunk of output to stderr with every line prefixed, carrying
+// partial lines over until the rest arrives.
+function linePrefixer(prefix) {
+  let partial = '';
+  const write = (data) => {
+    const lines = (partial + data).split('\n');
+    partial = lines.pop();
+    lines.forEach(line => process.stderr.write(`${prefix}${line}\n`));
+  };
+  write.flush = () => {
+    if (partial) process.stderr.write(`${prefix}${partial}\n`);
+    partial = '';
+  };
+  return write;
+}
+
+// ─── Commands ──────────────────────────────────────────────────────
+
+async function check(config, args) {
+  const installed = await checkInstalled(config);
+  const items = await Promise.all(configItems(config).map(async item => {
+    const result = {
+      id: item.id,
+      name: item.name,
+      section: section(config, item),
+      installed: installed.has(item.id),
+    };
+    // Items with a version range also report whether they're in it
+    if (item.version !== undefined && result.installed) {
+      result.version = await readInstalledVersion(item);
+      result.wrongVersion = result.version ? satisfies(result.version, item.version) === false : false;
+    }
+    return result;
+  }));
+  const wrongVersions = items.filter(item => item.wrongVersion).length;
+  const ctx = fileContext(config, args);
+  const files = await Promise.all(config.files.map(item => fileStatus(item, ctx)));
+  const settings = await settingsStatus(config.settings, settingsContext());
+  const workspace = await Promise.all(config.workspace.map(project => projectStatus(project, { run: runBuilt })));
+  const accounts = await Promise.all(config.accounts.map(account => accountStatus(account, runCommand)));
+  print({ name: config.name, installed: installed.size, total: items.length, wrongVersions, items, files, settings, workspace, accounts });
+  const applied = [...files, ...settings].every(entry => entry.state === 'applied');
+  const cloned = workspace.every(project => project.state === 'cloned');
+  const signedIn = accounts.every(account => account.signedIn);
+  return installed.size === items.length && wrongVersions === 0 && applied && cloned && signedIn ? 0 : 1;
+}
+
+// Where the config's files, settings, projects and accounts stand, as for
+// check. A config under review runs nothing, so each is listed as
+// 'unchecked' and accounts as signed out.
+async function planStatus(config, args) {
+  if (args.review) {
+    const unchecked = (entry) => ({ id: entry.id, state: 'unchecked' });
+    return {
+      installed: new Set(),
+      files: config.files.map(unchecked),
+      settings: config.settings.map(unchecked),
+      workspace: config.workspace.map(unchecked),
+      accounts: config.accounts.map(account => ({ id: account.id, signedIn: false })),
+    };
+  }
+  const ctx = fileContext(config, args);
+  return {
+    installed: await checkInstalled(config),
+    files: await Promise.all(config.files.map(item => fileStatus(item, ctx))),
+    settings: await settingsStatus(config.settings, settingsContext()),
+    workspace: await Promise.all(config.workspace.map(project => projectStatus(project, { run: runBuilt }))),
+    accounts: await Promise.all(config.accounts.map(account => accountStatus(account, runCommand))),
+  };
+}
+
+async function plan(config, args) {
+  const status = await planStatus(config, args);
+  const { installed } = status;
+  const { steps, skipped } = buildPlan(config, id => installed.has(id));
+  const files = status.files
+    .filter(file => file.state !== 'applied')
+    .map(({ id, state, detail, missing, error }) => ({ id, path: config.files.find(f => f.id === id).path, state, detail, missing, error }));
+  const settings = status.settings
+    .filter(setting => setting.state !== 'applied')
+    .map(({ id, current, error }) => {
+      const { domain, key, value } = config.settings.find(s => s.id === id);
+      return { id, domain, key, current, value, error };
+    });
+  const workspace = status.workspace
+    .filter(project => project.state !== 'cloned')
+    .map(({ id, state, detail, error }) => {
+      const project = config.workspace.find(p => p.id === id);
+      return { id, path: project.path, state, detail, error, command: state === 'missing' || state === 'unchecked' ? cloneCommand(project) : undefined, setup: project.setup || [] };
+    });
+  // Signing in is interactive, so plans only say which accounts need it
+  const accounts = status.accounts
+    .filter(account => !account.signedIn)
+    .map(({ id }) => {
+      const { name, login, signup } = config.accounts.find(a => a.id === id);
+      return { id, name, login, signup };
+    });
+  if (args.script) {
+    process.stdout.write(planScript(config, { steps, skipped }));
+    return 0;
+  }
+  print({
+    name: config.name,
+    steps: steps.map(({ item, waitsFor }) => ({
+      id: item.id,
+      name: item.name,
+      section: section(config, item),
+      command: item.install,
+      waitsFor,
+    })),
+    skipped: skipped.map(item => ({ id: item.id, name: item.name, reason: 'installed' })),
+    files,
+    settings,
+    workspace,
+    accounts,
+  });
+  return 0;
+}
+
+async function install(config, args) {
+  const ids = args.positional.slice(2);
+  if (!args.all && ids.length === 0) {
+    throw new UsageError('install needs --all or one or more item ids');
+  }
+
+  const byId = new Map(configItems(config).map(item => [item.id, item]));
+  const otherIds = [...config.files, ...config.settings, ...config.workspace].map(entry => entry.id);
+  ids.forEach(id => {
+    if (!byId.has(id) && !otherIds.includes(id)) throw new UsageError(`Unknown item "${id}"`);
+  });
+
+  const installed = await checkInstalled(config);
+  const alreadyInstalled = [...installed];
+
+  // With explicit ids, pull in whichever of their ancestors are missing
+  const wanted = new Set();
+  const want = (id) => {
+    if (wanted.has(id) || installed.has(id)) return;
+    wanted.add(id);
+    byId.get(id).depends_on.forEach(want);
+  };
+  (args.all ? [...byId.keys()] : ids.filter(id => byId.has(id))).forEach(want);
+
+  const items = resolveOrder(config).filter(item => wanted.has(item.id));
+  const failed = [];
+  const newlyInstalled = [];
+
+  const { skipped } = await runScheduled(items, {
+    concurrency: args.concurrency || config.concurrency,
+    isSatisfied: id => installed.has(id),
+    run: async (item) => {
+      const write = linePrefixer(`[${item.id}] `);
+      let result = await streamCommand(item.install, write).done;
+      if (result.succeeded && item.post_install) {
+        const after = await runPostInstall(item, {
+          run: command => streamCommand(command, write).done,
+          check: runCommand,
+          refresh: refreshShellEnv,
+          write,
+        });
+        if (!after.succeeded) result = { ...result, ...after };
+      }
+      write.flush();
+      // The installer may have added to PATH in the shell's rc files
+      await refreshShellEnv();
+
+      const confirmed = result.succeeded && (await runCommand(item.check)).succeeded;
+      if (confirmed) {
+        installed.add(item.id);
+        newlyInstalled.push(item.id);
+      } else {
+        failed.push({ id: item.id, exitCode: result.exitCode, checkFailed: result.succeeded });
+      }
+    },
+  });
+
+  // Files go last, once what they wait on is installed
+  const ctx = fileContext(config, args);
+  const written = [];
+  const skippedEntries = [];
+  for (const file of config.files.filter(f => args.all || ids.includes(f.id))) {
+    const unmet = file.depends_on.filter(id => !installed.has(id));
+    if (unmet.length > 0) {
+      skippedEntries.push({ id: file.id, unmet });
+      continue;
+    }
+    try {
+      const result = await applyFile(file, ctx);
+      if (result.changed) written.push({ id: file.id, path: file.path, backup: result.backup });
+    } catch (err) {
+      failed.push({ id: file.id, error: err.message });
+    }
+  }
+
+  // Settings as one batch
+  const settings = config.settings.filter(s => args.all || ids.includes(s.id));
+  let applied = [];
+  if (settings.length > 0) {
+    const result = await applySettings(settings, settingsContext());
+    if (result.output) process.stderr.write(result.output.replace(/^/gm, '[settings] ') + '\n');
+    applied = result.changed;
+    failed.push(...result.failed);
+  }
+
+  // Projects come last of all: they clone with git and set up with the tools
+  // everything above installed
+  const cloned = [];
+  for (const project of config.workspace.filter(p => args.all || ids.includes(p.id))) {
+    const unmet = project.depends_on.filter(id => !installed.has(id));
+    if (unmet.length > 0) {
+      skippedEntries.push({ id: project.id, unmet });
+      continue;
+    }
+    const status = await projectStatus(project, { run: runBuilt });
+    if (status.state === 'cloned') continue;
+    if (status.state !== 'missing') {
+      failed.push({ id: project.id, error: status.detail || status.error });
+      continue;
+    }
+
+    // Setup commands passed the policy check with the rest of the config
+    const blocked = policyBlock(cloneCommand(project));
+    if (blocked) {
+      failed.push({ id: project.id, error: blocked });
+      continue;
+    }
+
+    const write = linePrefixer(`[${project.id}] `);
+    const steps = [{ command: cloneCommand(project) }, ...(project.setup || []).map(command => ({ command, cwd: projectPath(project) }))];
+    fs.mkdirSync(path.dirname(projectPath(project)), { recursive: true });
+    let result;
+    for (const { command, cwd } of steps) {
+      write(`$ ${command}\n`);
+      result = await streamCommand(command, write, { cwd }).done;
+      if (!result.succeeded) break;
+    }
+    write.flush();
+    if (result.succeeded) cloned.push(project.id);
+    else failed.push({ id: project.id, exitCode: result.exitCode });
+  }
+
+  print({
+    name: config.name,
+    installed: newlyInstalled,
+    written,
+    applied,
+    cloned,
+    failed,
+    skipped: [...skipped.map(({ item, unmet }) => ({ id: item.id, unmet })), ...skippedEntries],
+    alreadyInstalled,
+  });
+  return failed.length === 0 && skipped.length === 0 && skippedEntries.length === 0 ? 0 : 1;
+}
+
+// Put back what the config's settings replaced
+async function revert(config) {
+  const result = await revertSettings(config.settings, settingsContext());
+  if (result.output) process.stderr.write(result.output.replace(/^/gm, '[settings] ') + '\n');
+  print({ name: config.name, reverted: result.reverted, failed: result.failed });
+  return result.failed.length === 0 ? 0 : 1;
+}
+
+async function doctor(config) {
+  const checks = [];
+  const add = (name, status, detail) => checks.push({ name, status, detail });
+
+  add('platform', process.platform === 'darwin' ? 'ok' : 'warn',
+    process.platform === 'darwin' ? `macOS (${process.arch})` : `${process.platform} — configs are written for macOS`);
+  add('bash', fs.existsSync('/bin/bash') ? 'ok' : 'fail', '/bin/bash');
+
+  const login = loginShellStatus();
+  add('login-shell', login.captured ? 'ok' : 'warn',
+    login.captured ? `environment from ${login.shell}` : `could not run ${login.shell}; using a default PATH`);
+
+  const pathResult = await runCommand('echo "$PATH"');
+  add('path', 'ok', pathResult.stdout);
+
+  if (process.platform === 'darwin') {
+    const xcode = await runCommand('xcode-select -p');
+    add('xcode-cli', xcode.succeeded ? 'ok' : 'warn', xcode.succeeded ? xcode.stdout : 'not installed');
+  }
+
+  const brew = await runCommand('command -v brew');
+  add('homebrew', brew.succeeded ? 'ok' : 'warn', brew.succeeded ? brew.stdout : 'not on PATH');
+
+  // Settings are written with `defaults`, which only macOS has, unless
+  // ONBOARD_DEFAULTS swaps in the fake
+  const backend = settingsBackend(runBuilt).name;
+  const defaults = backend === 'defaults' ? await runCommand('command -v defaults') : { succeeded: true };
+  add('defaults', defaults.succeeded ? 'ok' : 'warn', defaults.succeeded ? backend : 'not on PATH; settings can\'t be read or applied');
+
+  if (config) {
+    const installed = await checkInstalled(config);
+    const total = configItems(config).length;
+    add('config', 'ok', `${config.name}: ${total} items, ${installed.size} installed`);
+  }
+
+  const ok = checks.every(c => c.status !== 'fail');
+  print({ ok, checks });
+  return ok ? 0 : 1;
+}
+
+async function keygen(_config, args) {
+  const keyPath = args.positional[1];
+  if (!keyPath) throw new UsageError('keygen needs a path for the key');
+  if (fs.existsSync(keyPath)) throw new UsageError(`${keyPath} already exists`);
+  fs.writeFileSync(keyPath, generateKey(), { mode: 0o600 });
+  print({ key: keyPath });
+  return 0;
+}
+
+async function sign(_config, args) {
+  const filePath = args.positional[1];
+  if (!filePath) throw new UsageError('sign needs a config file');
+  if (!args.key || !args.publisher) throw new UsageError('sign needs --key and --publisher');
+
+  // Re-signing replaces an existing embedded signature
+  const { body } = splitSignature(fs.readFileSync(filePath, 'utf8'));
+  const signedBody = body.endsWith('\n') ? body : body + '\n';
+  const block = signContent(args.detached ? body : signedBody, fs.readFileSync(args.key, 'utf8'), args.publisher);
+
+  if (args.detached) {
+    fs.writeFileSync(filePath, body);
+    fs.writeFileSync(`${filePath}.sig`, block);
+  } else {
+    fs.writeFileSync(filePath, signedBody + block);
+  }
+
+  const key = block.match(/^# key: (.+)$/m)[1];
+  print({ signed: args.detached ? `${filePath}.sig` : filePath, publisher: args.publisher, fingerprint: fingerprint(key) });
+  return 0;
+}
+
+// ─── Entry Point ───────────────────────────────────────────────────
+
+const COMMANDS = { check, plan, install, revert, doctor, keygen, sign };
+// These take a file path rather than a config to load
+const FILE_COMMANDS = ['keygen', 'sign'];
+// These only print what a config would do, so they take untrusted configs,
+// without running anything from them
+const REVIEW_COMMANDS = ['plan'];
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const [command, source] = args.positional;
+
+  if (args.help || !command) {
+    process.stdout.write(USAGE + '\n');
+    return args.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+  if (FILE_COMMANDS.includes(command)) {
+    return COMMANDS[command](null, args);
+  }
+  if (!source && command !== 'doctor') {
+    throw new UsageError(`${command} needs a config`);
+  }
+
+  let config = null;
+  if (source) {
+    try {
+      config = await loadConfigSource(source, { keyring: readKeyring(path.join(appDataDir(), 'trusted-publishers.json')) });
+      const untrusted = args.trust ? [] : untrustedSources(config, source);
+      args.review = untrusted.length > 0;
+      if (args.review && !REVIEW_COMMANDS.includes(command)) {
+        throw new Error(`${untrusted.join(', ')} isn't signed by a trusted publisher; review it with "onboard plan" and pass --trust to run it`);
+      }
+      checkConfigPolicy(config, readPolicy(process.env.ONBOARD_POLICY));
+      setConfigEnv(config);
+    } catch (err) {
+      print({ error: `Config error: ${err.message}` });
+      return 2;
+    }
+  }
+
+  await shellEnvReady();
+  return COMMANDS[command](config, args);
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    print({ error: err.message });
+    if (err instanceof UsageError) process.stderr.write(USAGE + '\n');
+    process.exitCode = err instanceof UsageError ? 2 : 1;
+  },
+);
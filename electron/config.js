@@ -0,0 +1,397 @@
+// config.js — Loading and validating .onboard configs.
+// Shared by the main process and the CLI; returns plain config objects
+// and throws on anything invalid.
+//
+// A config can build on others: `extends` names a parent (path, URL or
+// bundled:<name>), `include` lists fragment files merged in after it, and
+// `remove` drops inherited items. Items override inherited ones by id.
+// Every item records the file it came from in `origin`. Package-manager
+// shorthand (`brew: node`) is expanded after merging, so a child can
+// override single commands of an inherited item. A file's `source` (see
+// dotfiles.js) is read relative to the file that names it.
+//
+// Each file's signature (see trust.js) is checked as it's read; the result
+// for every file ends up in `config.provenance`.
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { configItems, resolveOrder } = require('./graph');
+const { parseYaml, migrate, checkSchema, checkLayer } = require('./schema');
+const { expandProviders } = require('./providers');
+const { verifyContent, splitSignature } = require('./trust');
+const { parseRange } = require('./semver');
+const { BUILTIN_VARIABLES, templateVariables, targetPath } = require('./dotfiles');
+const { projectPath } = require('./workspace');
+
+// Sections of installable items, which share the dependency graph
+const ITEM_SECTIONS = ['dependencies', 'apps'];
+// Every section of entries with ids, which layers merge by id
+const MERGED_SECTIONS = [...ITEM_SECTIONS, 'files', 'settings', 'workspace', 'accounts'];
+
+// Variables that make bash run code or change how it reads commands;
+// PATH has its own `path` key
+const RESERVED_ENV = /^(PATH|BASH_ENV|ENV|SHELLOPTS|BASHOPTS|PROMPT_COMMAND|PS4|IFS|CDPATH|GLOBIGNORE|BASH_FUNC_.*|LD_.*|DYLD_.*)$/;
+const COMPOSITION_KEYS = ['extends', 'include', 'remove'];
+
+// Semantic checks the JSON Schema can't express. Expects a config that
+// already passed checkSchema(); fills in defaults and normalizes depends_on.
+function validateConfig(config) {
+  if (!config.apps) {
+    config.apps = [];
+  }
+  if (!config.files) {
+    config.files = [];
+  }
+  if (!config.settings) {
+    config.settings = [];
+  }
+  if (!config.workspace) {
+    config.workspace = [];
+  }
+  if (!config.accounts) {
+    config.accounts = [];
+  }
+  if (!config.concurrency) {
+    config.concurrency = 3;
+  }
+
+  // depends_on accepts a single id or a list; normalize to a list
+  [...configItems(config), ...config.files, ...config.workspace, ...config.accounts].forEach(item => {
+    const deps = item.depends_on ?? [];
+    item.depends_on = Array.isArray(deps) ? deps : [deps];
+  });
+
+  // Ids are shared across every section
+  const seen = new Set();
+  MERGED_SECTIONS.flatMap(section => config[section]).forEach(item => {
+    if (seen.has(item.id)) throw new Error(`Duplicate id "${item.id}"`);
+    seen.add(item.id);
+  });
+
+  // Version ranges and patterns are checked now, not on the first check
+  configItems(config).forEach(item => {
+    if (item.version !== undefined) {
+      try {
+        parseRange(item.version);
+      } catch (err) {
+        throw new Error(`Item "${item.id}" field "version": ${err.message}`);
+      }
+    }
+    if (item.version_pattern !== undefined) {
+      try {
+        new RegExp(item.version_pattern);
+      } catch (err) {
+        throw new Error(`Item "${item.id}" field "version_pattern": ${err.message}`);
+      }
+    }
+  });
+
+  // A variable is a prompt, or { prompt, default }
+  Object.entries(config.variables || {}).forEach(([name, variable]) => {
+    if (BUILTIN_VARIABLES.includes(name)) throw new Error(`"variables" can't define ${name}; it's built in`);
+    if (typeof variable === 'string') config.variables[name] = { prompt: variable };
+  });
+
+  // Files wait on installable items, and their templates only use known variables
+  const itemIds = new Set(configItems(config).map(item => item.id));
+  const variables = [...BUILTIN_VARIABLES, ...Object.keys(config.variables || {})];
+  config.files.forEach(file => {
+    targetPath(file);
+    if (file.mode !== undefined && !/^[0-7]{3,4}$/.test(String(file.mode))) {
+      throw new Error(`File "${file.id}" field "mode" must be octal, like "600"`);
+    }
+    file.depends_on.forEach(depId => {
+      if (!itemIds.has(depId)) throw new Error(`File "${file.id}" depends on unknown id "${depId}"`);
+    });
+    const unknown = templateVariables(file.content ?? file.source_text ?? '').filter(name => !variables.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`File "${file.id}" uses {{ ${unknown[0]} }}, which isn't in "variables"`);
+    }
+  });
+
+  // A setting's value has to be what its type says
+  config.settings.forEach(setting => {
+    const fits = {
+      bool: typeof setting.value === 'boolean',
+      int: Number.isInteger(setting.value),
+      float: typeof setting.value === 'number',
+      string: typeof setting.value === 'string',
+    }[setting.type];
+    if (!fits) throw new Error(`Setting "${setting.id}" value ${JSON.stringify(setting.value)} doesn't match its type, ${setting.type}`);
+  });
+
+  // Projects wait on installable items, and each gets a folder of its own
+  const projectDirs = new Map();
+  config.workspace.forEach(project => {
+    const dir = projectPath(project);
+    if (projectDirs.has(dir)) {
+      throw new Error(`Projects "${projectDirs.get(dir)}" and "${project.id}" both clone into ${project.path}`);
+    }
+    projectDirs.set(dir, project.id);
+    project.depends_on.forEach(depId => {
+      if (!itemIds.has(depId)) throw new Error(`Project "${project.id}" depends on unknown id "${depId}"`);
+    });
+  });
+
+  // Accounts wait on the CLI they sign in with
+  config.accounts.forEach(account => {
+    account.depends_on.forEach(depId => {
+      if (!itemIds.has(depId)) throw new Error(`Account "${account.id}" depends on unknown id "${depId}"`);
+    });
+    if (account.identity_pattern !== undefined) {
+      try {
+        new RegExp(account.identity_pattern);
+      } catch (err) {
+        throw new Error(`Account "${account.id}" field "identity_pattern": ${err.message}`);
+      }
+    }
+  });
+
+  Object.keys(config.env || {}).forEach(name => {
+    if (RESERVED_ENV.test(name)) {
+      throw new Error(`"env" can't set ${name}${name === 'PATH' ? '; add folders with "path" instead' : ''}`);
+    }
+  });
+
+  // Throws on unknown ids and cycles
+  resolveOrder(config);
+
+  return config;
+}
+
+// ─── Sources ───────────────────────────────────────────────────────
+
+function isURL(ref) {
+  return ref.startsWith('http://') || ref.startsWith('https://');
+}
+
+function bundledPath(name) {
+  const filename = (name || 'builder') + '.onboard';
+  // In development, load from examples/; in the packaged app, from Resources
+  const devPath = path.join(__dirname, 'examples', filename);
+  return fs.existsSync(devPath) ? devPath : path.join(process.resourcesPath || __dirname, filename);
+}
+
+// Read the file behind a reference. Relative references resolve against
+// `base`, the location of the file that made them. Returns the source as
+// it should be reported, the location to resolve further references from,
+// the text, and the detached signature next to it if there is one.
+async function readSource(ref, base) {
+  if (ref === 'bundled' || ref.startsWith('bundled:')) {
+    const name = ref === 'bundled' ? 'builder' : ref.slice('bundled:'.length);
+    const filePath = bundledPath(name);
+    return { source: `bundled:${name}`, location: filePath, content: fs.readFileSync(filePath, 'utf8'), bundled: true };
+  }
+
+  if (isURL(ref) || (base && isURL(base))) {
+    const url = base ? new URL(ref, base).href : ref;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}${base ? ` (${url})` : ''}`);
+    }
+    const sigResponse = await fetch(`${url}.sig`).catch(() => null);
+    const detached = sigResponse?.ok ? await sigResponse.text() : null;
+    return { source: url, location: url, content: await response.text(), detached };
+  }
+
+  const filePath = ref.startsWith('~/')
+    ? path.join(os.homedir(), ref.slice(2))
+    : path.resolve(base ? path.dirname(base) : '', ref);
+  const sigPath = `${filePath}.sig`;
+  const detached = fs.existsSync(sigPath) ? fs.readFileSync(sigPath, 'utf8') : null;
+  return { source: filePath, location: filePath, content: fs.readFileSync(filePath, 'utf8'), detached };
+}
+
+// Where a file came from and who signed it. Bundled configs ship with the
+// app and are trusted as-is.
+function checkProvenance({ source, content, detached, bundled }, keyring) {
+  if (bundled) return { source, status: 'bundled' };
+  try {
+    return { source, ...verifyContent(content, detached, keyring) };
+  } catch (err) {
+    throw new Error(`${err.message} (${source})`);
+  }
+}
+
+// ─── Composition ───────────────────────────────────────────────────
+
+// Merge `layer` into `target` in place: top-level settings override,
+// items with a known id are patched where they stand, new items are appended.
+function mergeInto(target, layer, positions) {
+  Object.keys(layer).forEach(key => {
+    if (!MERGED_SECTIONS.includes(key) && !COMPOSITION_KEYS.includes(key)) {
+      target[key] = layer[key];
+    }
+  });
+
+  MERGED_SECTIONS.forEach(section => {
+    (layer[section] || []).forEach(item => {
+      const home = MERGED_SECTIONS.find(s => target[s].some(existing => existing.id === item.id));
+      if (!home) {
+        target[section].push(item);
+        return;
+      }
+
+      const index = target[home].findIndex(existing => existing.id === item.id);
+      const existing = target[home][index];
+      const merged = {
+        ...existing,
+        ...item,
+        origin: existing.origin,
+        overridden_by: [...(existing.overridden_by || []), item.origin],
+      };
+      positions.set(merged, positions.get(existing));
+      target[home][index] = merged;
+    });
+  });
+}
+
+// Load one file and everything it extends or includes, merged into a
+// single (possibly incomplete) config. `chain` holds the files currently
+// being resolved so cycles are caught; `ctx` collects where every item
+// was defined and every file that was read.
+async function composeLayers(ref, base, chain, ctx) {
+  const read = await readSource(ref, base);
+  const { source, location, content } = read;
+  if (chain.includes(source)) {
+    throw new Error(`Config extends itself: ${[...chain, source].join(' → ')}`);
+  }
+  ctx.provenance.push(checkProvenance(read, ctx.keyring));
+  ctx.hash.update(content).update('\0');
+
+  const { data, locate } = parseYaml(content);
+  const layer = migrate(data);
+  const file = chain.length > 0 ? source : null;
+  checkLayer(layer, (segments) => {
+    const position = locate(segments);
+    return position && { ...position, file };
+  });
+  if (!file) ctx.rootLocate = locate;
+
+  const nextChain = [...chain, source];
+  const composed = { dependencies: [], apps: [], files: [], settings: [], workspace: [], accounts: [] };
+
+  if (layer.extends) {
+    mergeInto(composed, await composeLayers(layer.extends, location, nextChain, ctx), ctx.positions);
+  }
+  for (const include of layer.include || []) {
+    mergeInto(composed, await composeLayers(include, location, nextChain, ctx), ctx.positions);
+  }
+
+  (layer.remove || []).forEach(id => {
+    const home = MERGED_SECTIONS.find(s => composed[s].some(item => item.id === id));
+    if (!home) throw new Error(`Cannot remove "${id}": no inherited or included item has that id${file ? ` (${file})` : ''}`);
+    composed[home] = composed[home].filter(item => item.id !== id);
+  });
+
+  MERGED_SECTIONS.forEach(section => {
+    (layer[section] || []).forEach((item, index) => {
+      item.origin = source;
+      ctx.positions.set(item, { locate, section, index, file });
+    });
+  });
+  // Read once merged, when it's known whether the source is in a repo
+  (layer.files || []).forEach(item => {
+    if (item.source !== undefined) item.source_base = location;
+  });
+  mergeInto(composed, layer, ctx.positions);
+
+  ctx.sources.push(source);
+  return composed;
+}
+
+// Read the `source` of every file that isn't in a repo, into `source_text`,
+// so it's covered by the config's digest like the config itself, and check
+// who signed it like a config file. Only a detached <source>.sig counts,
+// since a signature block would end up in the file. Local sources also
+// keep their path (`source_path`), which links point at.
+async function readFileSources(config, ctx) {
+  for (const item of config.files) {
+    if (item.source === undefined || item.repo !== undefined) continue;
+    let read;
+    try {
+      read = await readSource(String(item.source), item.source_base);
+    } catch (err) {
+      throw new Error(`File "${item.id}" source "${item.source}": ${err.message}`);
+    }
+    ctx.provenance.push(read.detached ? checkProvenance(read, ctx.keyring) : { source: read.source, status: 'unsigned' });
+    item.source_text = read.content;
+    if (!isURL(read.location)) item.source_path = read.location;
+    ctx.hash.update(read.content).update('\0');
+  }
+}
+
+// Load a config from any source the app accepts — a file path, a URL, or
+// bundled:<name> — resolving its extends/include chain, then validate it.
+// `keyring` lists the trusted publishers signatures are checked against.
+// The result's `digest` changes whenever any of its files does.
+async function loadConfigSource(source, { keyring = [] } = {}) {
+  const ctx = {
+    positions: new Map(),
+    sources: [],
+    rootLocate: null,
+    keyring,
+    provenance: [],
+    hash: crypto.createHash('sha256'),
+  };
+  const config = await composeLayers(source, null, [], ctx);
+  expandProviders(configItems(config));
+  await readFileSources(config, ctx);
+
+  // Schema errors on merged items point back at the file that defined them
+  checkSchema(config, (segments) => {
+    const [section, index, ...rest] = segments;
+    const where = ctx.positions.get(config[section]?.[index]);
+    if (!where) return ctx.rootLocate(segments);
+    const position = where.locate([where.section, where.index, ...rest]);
+    return position && { ...position, file: where.file };
+  });
+
+  config.sources = ctx.sources;
+  config.provenance = ctx.provenance;
+  config.digest = ctx.hash.digest('hex');
+  return validateConfig(config);
+}
+
+// ─── Editing ───────────────────────────────────────────────────────
+
+// Check the text of a config as it's being edited, without reading the
+// files it extends or includes (those are only checked for shape). Returns
+// the first problem as { error, line }, or the items it defines with the
+// line each starts on and its check command. `signed` says saving the
+// text will break an embedded signature. `filePath`, where the text is
+// saved, is where version files (.nvmrc, ...) are read from.
+function checkConfigText(content, filePath = null) {
+  const signed = splitSignature(content).block !== null;
+  try {
+    const { data, locate } = parseYaml(content);
+    const config = migrate(data);
+    checkLayer(config, locate);
+
+    const layered = config.extends || config.include;
+    if (!layered) {
+      if (filePath) configItems(config).forEach(item => { item.origin = filePath; });
+      expandProviders(configItems(config));
+      checkSchema(config, locate);
+      validateConfig(config);
+    }
+
+    const items = ITEM_SECTIONS.flatMap(section => (config[section] || []).map((item, index) => ({
+      id: item.id,
+      section,
+      line: locate([section, index]).line,
+      check: item.check || null,
+    })));
+    return { items, signed };
+  } catch (err) {
+    if (err.mark) {
+      // YAML syntax error; its message includes a code excerpt we don't need
+      return { error: `${err.reason} (line ${err.mark.line + 1}, column ${err.mark.column + 1})`, line: err.mark.line + 1, signed };
+    }
+    return { error: err.message, line: err.position?.line ?? null, signed };
+  }
+}
+
+module.exports = { validateConfig, loadConfigSource, readSource, checkConfigText };
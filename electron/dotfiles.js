@@ -0,0 +1,359 @@
+// dotfiles.js — The `files` section: dotfiles and other config files the
+// app puts in the user's home folder, shared by the main process and the CLI.
+//
+//   variables:
+//     email: Your work email                # asked for once, then remembered
+//
+//   files:
+//     - id: gitconfig
+//       path: ~/.gitconfig
+//       content: |                          # a template; or `source: file`
+//         [user]
+//           email = {{ email }}
+//     - id: vimrc
+//       path: ~/.vimrc
+//       repo: https://github.com/acme/dotfiles   # `source` is read from here,
+//       ref: 4f2a9c1e8b7d6a5f4e3d2c1b0a9f8e7d6c5b4a39   # at this commit
+//       source: vimrc
+//       link: true                          # symlink instead of a copy
+//
+// Templates fill in {{ name }} from the config's `variables`, whose values
+// are kept in <dataDir>/variables.json, and from a few built-ins (home,
+// user, hostname). A file that doesn't match what the config describes has
+// drifted, and its status carries a line diff. Anything a write would
+// replace is first moved to <dataDir>/backups/<time>/, under its path
+// relative to the home folder.
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { shellQuote } = require('./policy');
+
+const TEMPLATE_VARIABLE = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const BUILTIN_VARIABLES = ['home', 'user', 'hostname'];
+
+// Diffs of files larger than this (lines before × lines after) show every
+// line as replaced instead of being worked out
+const MAX_DIFF_CELLS = 4_000_000;
+
+// ─── Variables ─────────────────────────────────────────────────────
+
+function builtinValues() {
+  return { home: os.homedir(), user: os.userInfo().username, hostname: os.hostname() };
+}
+
+// Names a template uses, in order of first use
+function templateVariables(text) {
+  return [...new Set([...String(text).matchAll(TEMPLATE_VARIABLE)].map(match => match[1]))];
+}
+
+function renderTemplate(text, values) {
+  return String(text).replace(TEMPLATE_VARIABLE, (_match, name) => values[name]);
+}
+
+function variablesPath(dataDir) {
+  return path.join(dataDir, 'variables.json');
+}
+
+// Values the user entered, by variable name
+function readVariables(dataDir) {
+  try {
+    return JSON.parse(fs.readFileSync(variablesPath(dataDir), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+// Remember values for next time; an empty value forgets one
+function saveVariables(dataDir, values) {
+  const stored = { ...readVariables(dataDir), ...values };
+  Object.keys(stored).forEach(name => {
+    if (!stored[name]) delete stored[name];
+  });
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(variablesPath(dataDir), JSON.stringify(stored, null, 2) + '\n');
+}
+
+// Every value a template can use: built-ins, then the config's defaults,
+// then what the user entered, then `overrides` (the CLI's --var)
+function variableValues(config, dataDir, overrides = {}) {
+  const values = builtinValues();
+  Object.entries(config.variables || {}).forEach(([name, variable]) => {
+    if (variable.default !== undefined) values[name] = String(variable.default);
+  });
+  return { ...values, ...readVariables(dataDir), ...overrides };
+}
+
+// ─── Sources ───────────────────────────────────────────────────────
+
+// Where an item's file goes. Paths start with ~/ and stay inside the home folder.
+function targetPath(item) {
+  const home = os.homedir();
+  const target = path.resolve(home, String(item.path).replace(/^~\//, ''));
+  if (!target.startsWith(home + path.sep)) {
+    throw new Error(`File "${item.id}": path must be inside the home folder`);
+  }
+  return target;
+}
+
+// Each repo and commit gets its own clone
+function repoDir(item, dataDir) {
+  const key = crypto.createHash('sha256').update(`${item.repo}#${item.ref}`).digest('hex').slice(0, 16);
+  return path.join(dataDir, 'repos', key);
+}
+
+// The command that checks out an item's commit, fetching it first if the
+// clone doesn't have it. `ref` is a full commit SHA, which the config's
+// signature and digest cover, so the file is exactly what was reviewed;
+// resetting to it also undoes any change made in the clone since.
+function repoCommand(item, dataDir) {
+  const dir = shellQuote(repoDir(item, dataDir));
+  const commit = shellQuote(item.ref);
+  const init = fs.existsSync(path.join(repoDir(item, dataDir), '.git'))
+    ? ''
+    : `git init -q ${dir} && git -C ${dir} remote add origin ${shellQuote(item.repo)} && `;
+  return `${init}{ git -C ${dir} cat-file -e ${shellQuote(`${item.ref}^{commit}`)} 2>/dev/null || git -C ${dir} fetch -q --depth 1 origin ${commit}; } && git -C ${dir} reset -q --hard ${commit}`;
+}
+
+// Fetches in flight, by clone folder, so files from one repo share a fetch
+const repoFetches = new Map();
+
+// Clone the item's repo if it isn't yet, or (with `update`) check its
+// commit out again. `run(command)` runs the git command and resolves to a shell result.
+async function syncRepo(item, { dataDir, run }, { update = false } = {}) {
+  const dir = repoDir(item, dataDir);
+  if (repoFetches.has(dir)) return repoFetches.get(dir);
+  if (!update && fs.existsSync(path.join(dir, '.git'))) return;
+
+  const fetching = (async () => {
+    fs.mkdirSync(path.dirname(dir), { recursive: true });
+    const result = await run(repoCommand(item, dataDir));
+    if (!result.succeeded) {
+      throw new Error(`Could not fetch ${item.repo}: ${(result.stderr || '').trim()}`);
+    }
+  })();
+  repoFetches.set(dir, fetching);
+  try {
+    await fetching;
+  } finally {
+    repoFetches.delete(dir);
+  }
+}
+
+// The file on disk an item's `source` names: in its repo's clone, or next
+// to the config it came from (see config.js)
+function sourcePath(item, dataDir) {
+  if (!item.repo) {
+    if (!item.source_path) throw new Error(`File "${item.id}": a linked source must be a file on disk or in a repo`);
+    return item.source_path;
+  }
+  const dir = repoDir(item, dataDir);
+  const file = path.resolve(dir, item.source);
+  if (!file.startsWith(dir + path.sep)) {
+    throw new Error(`File "${item.id}": source must be inside the repo`);
+  }
+  return file;
+}
+
+// What should be at the item's path: { target, link } for a symlink,
+// { target, content } otherwise, or { target, missing } with the
+// variables that still need a value
+function desiredFile(item, { dataDir, values }) {
+  const target = targetPath(item);
+  if (item.link) return { target, link: sourcePath(item, dataDir) };
+
+  let template = item.content ?? item.source_text;
+  if (item.repo) template = fs.readFileSync(sourcePath(item, dataDir), 'utf8');
+  const missing = templateVariables(template).filter(name => !values[name]);
+  if (missing.length > 0) return { target, missing };
+  return { target, content: renderTemplate(template, values) };
+}
+
+// ─── Status ────────────────────────────────────────────────────────
+
+// What's at a path now, without following a symlink there
+function readCurrent(target) {
+  let stat;
+  try {
+    stat = fs.lstatSync(target);
+  } catch {
+    return { exists: false };
+  }
+  const link = stat.isSymbolicLink() ? fs.readlinkSync(target) : null;
+  let content = null;
+  try {
+    content = fs.readFileSync(target, 'utf8');
+  } catch {
+    // A folder, or a link to nothing
+  }
+  return { exists: true, link, content, mode: stat.mode & 0o777, isFile: stat.isFile() };
+}
+
+function fileMode(item) {
+  return item.mode === undefined ? null : parseInt(String(item.mode), 8);
+}
+
+// Why the file at `current` isn't what's desired, or null when it is
+function driftReason(item, desired, current) {
+  if (desired.link) {
+    if (current.link && path.resolve(path.dirname(desired.target), current.link) === desired.link) return null;
+    return current.link ? `links to ${current.link}` : 'is a file, not a link';
+  }
+  if (current.content === null) return current.link ? `links to ${current.link}, which can't be read` : 'is a folder';
+  if (current.content !== desired.content) return current.link ? `links to ${current.link}, which differs` : 'differs';
+  const mode = fileMode(item);
+  if (mode !== null && !current.link && current.mode !== mode) {
+    return `has mode ${current.mode.toString(8)}, not ${mode.toString(8)}`;
+  }
+  return null;
+}
+
+// Where an item's file stands: { id, state, ... } with state 'applied',
+// 'missing', 'drift' (with `detail` and a `diff` from what's there to what
+// should be), 'needs-input' (with the `missing` variables) or 'error'
+async function fileStatus(item, ctx) {
+  try {
+    if (item.repo) await syncRepo(item, ctx);
+    const desired = desiredFile(item, ctx);
+    if (desired.missing) return { id: item.id, state: 'needs-input', missing: desired.missing };
+
+    const current = readCurrent(desired.target);
+    if (!current.exists) return { id: item.id, state: 'missing' };
+    const detail = driftReason(item, desired, current);
+    if (!detail) return { id: item.id, state: 'applied' };
+
+    const wanted = desired.link ? fs.readFileSync(desired.link, 'utf8') : desired.content;
+    return { id: item.id, state: 'drift', detail, diff: lineDiff(current.content ?? '', wanted) };
+  } catch (err) {
+    return { id: item.id, state: 'error', error: err.message };
+  }
+}
+
+function splitLines(text) {
+  return text === '' ? [] : text.replace(/\n$/, '').split('\n');
+}
+
+// Line diff from `before` to `after`, as [{ op, text }] with op ' ', '-'
+// or '+'. Unchanged lines more than `context` lines from a change are
+// collapsed into { op: '…', count }.
+function lineDiff(before, after, context = 3) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+  let ops = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    ops = [...a.map(text => ({ op: '-', text })), ...b.map(text => ({ op: '+', text }))];
+  } else {
+    // Longest common subsequence of every suffix pair, from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        ops.push({ op: ' ', text: a[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        ops.push({ op: '-', text: a[i++] });
+      } else {
+        ops.push({ op: '+', text: b[j++] });
+      }
+    }
+    a.slice(i).forEach(text => ops.push({ op: '-', text }));
+    b.slice(j).forEach(text => ops.push({ op: '+', text }));
+  }
+
+  const near = new Array(ops.length).fill(false);
+  ops.forEach((line, k) => {
+    if (line.op === ' ') return;
+    for (let n = Math.max(0, k - context); n <= Math.min(ops.length - 1, k + context); n++) near[n] = true;
+  });
+  const diff = [];
+  ops.forEach((line, k) => {
+    if (near[k]) {
+      diff.push(line);
+    } else if (diff[diff.length - 1]?.op === '…') {
+      diff[diff.length - 1].count++;
+    } else {
+      diff.push({ op: '…', count: 1 });
+    }
+  });
+  return diff;
+}
+
+// ─── Applying ──────────────────────────────────────────────────────
+
+// Move what's at `target` into a new backup folder. Returns where it went.
+function backupFile(target, dataDir) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backup = path.join(dataDir, 'backups', stamp, path.relative(os.homedir(), target));
+  fs.mkdirSync(path.dirname(backup), { recursive: true });
+  try {
+    fs.renameSync(target, backup);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    fs.cpSync(target, backup, { verbatimSymlinks: true });
+    fs.rmSync(target);
+  }
+  return backup;
+}
+
+// Write or link an item's file, fetching its repo first. Anything already
+// there that differs is backed up, and put back if the write fails.
+// Resolves to { changed, target, backup }.
+async function applyFile(item, ctx) {
+  if (item.repo) await syncRepo(item, ctx, { update: true });
+  const desired = desiredFile(item, ctx);
+  if (desired.missing) {
+    throw new Error(`${item.name || item.id} needs a value for ${desired.missing.join(', ')}`);
+  }
+
+  const { target } = desired;
+  const current = readCurrent(target);
+  if (current.exists && !driftReason(item, desired, current)) return { changed: false, target, backup: null };
+  if (current.exists && !current.link && !current.isFile) throw new Error(`${item.path} is a folder`);
+
+  const backup = current.exists ? backupFile(target, ctx.dataDir) : null;
+  try {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    if (desired.link) {
+      fs.symlinkSync(desired.link, target);
+    } else {
+      fs.writeFileSync(target, desired.content);
+      // A replaced file keeps its mode (~/.ssh/config, ~/.npmrc with a token)
+      const mode = fileMode(item) ?? (current.isFile ? current.mode : null);
+      if (mode !== null) fs.chmodSync(target, mode);
+    }
+  } catch (err) {
+    fs.rmSync(target, { force: true });
+    if (backup) fs.renameSync(backup, target);
+    throw err;
+  }
+  return { changed: true, target, backup };
+}
+
+// How applying an item reads in the install history
+function describeFile(item) {
+  const source = item.repo ? `${item.repo}@${item.ref} ${item.source}` : item.source;
+  if (item.link) return `link ${item.path} → ${source}`;
+  return source ? `write ${item.path} from ${source}` : `write ${item.path}`;
+}
+
+module.exports = {
+  BUILTIN_VARIABLES,
+  templateVariables,
+  readVariables,
+  saveVariables,
+  variableValues,
+  targetPath,
+  fileStatus,
+  applyFile,
+  describeFile,
+  lineDiff,
+};
@@ -0,0 +1,453 @@
+// editor.js — In-app editor for .onboard files.
+// Loaded by index.html after renderer.js. A transparent textarea sits over
+// a highlighted copy of its text. The main process checks the text as it
+// changes (checkConfigText in config.js); saving writes it to disk and
+// reloads the config.
+
+const NEW_CONFIG_TEMPLATE = `schema_version: 2
+name: "My Setup"
+description: ""
+
+dependencies: []
+`;
+
+let editorState = { path: null, saved: '', items: [], error: null, errorLine: null };
+let editorValidateTimer = null;
+let editorValidateSeq = 0;
+
+// ─── Highlighting ──────────────────────────────────────────────────
+
+function highlightYamlValue(text) {
+  const trimmed = text.trimStart();
+  const lead = text.slice(0, text.length - trimmed.length);
+  let value = trimmed;
+  let comment = '';
+
+  // A comment starts at a # after whitespace, outside a quoted value
+  let searchFrom = 0;
+  if (trimmed[0] === '"' || trimmed[0] === "'") {
+    const close = trimmed.indexOf(trimmed[0], 1);
+    searchFrom = close === -1 ? trimmed.length : close + 1;
+  }
+  const hash = trimmed.slice(searchFrom).search(/(^|\s)#/);
+  if (hash !== -1) {
+    value = trimmed.slice(0, searchFrom + hash);
+    comment = trimmed.slice(searchFrom + hash);
+  }
+
+  let className = 'yaml-value';
+  if (/^["']/.test(value)) className = 'yaml-string';
+  else if (/^(true|false|null|~)\s*$/.test(value)) className = 'yaml-bool';
+  else if (/^[-+]?\d+(\.\d+)?\s*$/.test(value)) className = 'yaml-number';
+  else if (/^[|>][-+]?\s*$/.test(value)) className = 'yaml-punct';
+
+  return escapeHtml(lead)
+    + (value ? `<span class="${className}">${escapeHtml(value)}</span>` : '')
+    + (comment ? `<span class="yaml-comment">${escapeHtml(comment)}</span>` : '');
+}
+
+function highlightYamlLine(line) {
+  if (/^\s*#/.test(line)) {
+    return `<span class="yaml-comment">${escapeHtml(line)}</span>`;
+  }
+  const match = line.match(/^(\s*)(-\s+)?([^\s#'"][^:#]*?)(\s*:)(?=\s|$)(.*)$/);
+  if (match) {
+    const [, indent, dash = '', key, colon, rest] = match;
+    return escapeHtml(indent)
+      + (dash ? `<span class="yaml-punct">${dash}</span>` : '')
+      + `<span class="yaml-key">${escapeHtml(key)}</span>`
+      + `<span class="yaml-punct">${colon}</span>`
+      + highlightYamlValue(rest);
+  }
+  const item = line.match(/^(\s*)(-)(\s.*|)$/);
+  if (item) {
+    return escapeHtml(item[1]) + `<span class="yaml-punct">-</span>` + highlightYamlValue(item[3]);
+  }
+  return highlightYamlValue(line);
+}
+
+function renderEditorHighlight() {
+  const text = document.getElementById('editor-input').value;
+  const html = text.split('\n').map((line, i) => {
+    const className = i + 1 === editorState.errorLine ? 'editor-line editor-line-error' : 'editor-line';
+    return `<span class="${className}">${highlightYamlLine(line) || ' '}</span>`;
+  }).join('');
+  document.getElementById('editor-highlight').innerHTML = html;
+  syncEditorScroll();
+}
+
+function syncEditorScroll() {
+  const input = document.getElementById('editor-input');
+  const highlight = document.getElementById('editor-highlight');
+  highlight.scrollTop = input.scrollTop;
+  highlight.scrollLeft = input.scrollLeft;
+}
+
+// ─── Opening and Saving ────────────────────────────────────────────
+
+// Edit the loaded config's file, or with `blank`, start a new one
+async function openEditor(blank = false) {
+  let file = { path: null, name: null, content: NEW_CONFIG_TEMPLATE };
+  if (!blank && currentConfig) {
+    file = await window.onboard.openEditorFile();
+    if (file.error) {
+      showError(`Could not open config: ${file.error}`);
+      return;
+    }
+  }
+
+  await showEditor(file);
+}
+
+// Describe this machine as a new config and open it for pruning
+async function exportMySetup() {
+  setStatusLoading(true);
+  setStatus('Looking at what\'s installed...');
+  const file = await window.onboard.exportMachineConfig();
+  setStatusLoading(false);
+  if (!file) {
+    setStatus('Export cancelled');
+    return;
+  }
+  if (file.error) {
+    showError(`Could not export setup: ${file.error}`);
+    return;
+  }
+  setStatus(`Exported to ${formatPath(file.path)}`);
+  await showEditor(file);
+}
+
+async function showEditor(file) {
+  editorState = { path: file.path, name: file.name, saved: file.content, items: [], error: null, errorLine: null };
+  const input = document.getElementById('editor-input');
+  input.value = file.content;
+  document.getElementById('editor-test').style.display = 'none';
+  document.getElementById('editor-pane').style.display = 'flex';
+  await populateIconChoices();
+  onEditorInput();
+  input.focus();
+  input.setSelectionRange(0, 0);
+}
+
+function isEditorDirty() {
+  return document.getElementById('editor-input').value !== editorState.saved;
+}
+
+function updateEditorTitle() {
+  const name = editorState.path ? editorState.path.split('/').pop() : (editorState.name ? `${editorState.name} (copy)` : 'New config');
+  document.getElementById('editor-title').textContent = `${isEditorDirty() ? '● ' : ''}${name}`;
+  document.getElementById('editor-title').title = editorState.path || '';
+}
+
+async function saveEditor() {
+  const content = document.getElementById('editor-input').value;
+  const savedPath = await window.onboard.saveEditorFile(content, editorState.path);
+  if (!savedPath) return;
+
+  editorState.path = savedPath;
+  editorState.saved = content;
+  updateEditorTitle();
+  setEditorStatus(`Saved to ${formatPath(savedPath)}`, 'ok');
+
+  // Show the saved version in the main window; it goes through the usual
+  // trust check, since its commands changed.
+  if (!editorState.error) {
+    await loadConfig(savedPath);
+  }
+}
+
+function closeEditor() {
+  if (isEditorDirty()) {
+    document.getElementById('editor-discard-modal').style.display = 'flex';
+    return;
+  }
+  hideEditor();
+}
+
+function hideEditor() {
+  document.getElementById('editor-discard-modal').style.display = 'none';
+  document.getElementById('editor-pane').style.display = 'none';
+}
+
+function hideEditorDiscardModal() {
+  document.getElementById('editor-discard-modal').style.display = 'none';
+}
+
+// ─── Editing ───────────────────────────────────────────────────────
+
+function onEditorInput() {
+  updateEditorTitle();
+  renderEditorHighlight();
+  clearTimeout(editorValidateTimer);
+  editorValidateTimer = setTimeout(validateEditor, 300);
+}
+
+function onEditorKey(event) {
+  const input = event.target;
+
+  if ((event.metaKey || event.ctrlKey) && event.key === 's') {
+    event.preventDefault();
+    saveEditor();
+  } else if (event.key === 'Tab' && !event.shiftKey) {
+    event.preventDefault();
+    document.execCommand('insertText', false, '  ');
+  } else if (event.key === 'Enter') {
+    // Keep the current line's indentation
+    event.preventDefault();
+    const before = input.value.slice(0, input.selectionStart);
+    const line = before.slice(before.lastIndexOf('\n') + 1);
+    const indent = line.match(/^\s*/)[0];
+    document.execCommand('insertText', false, `\n${indent}${/^\s*-\s/.test(line) ? '  ' : ''}`);
+  }
+}
+
+function jumpToEditorLine(line) {
+  const input = document.getElementById('editor-input');
+  const lines = input.value.split('\n');
+  const offset = lines.slice(0, line - 1).reduce((sum, l) => sum + l.length + 1, 0);
+  input.focus();
+  input.setSelectionRange(offset, offset + (lines[line - 1] || '').length);
+  const lineHeight = parseFloat(getComputedStyle(input).lineHeight) || 18;
+  input.scrollTop = Math.max(0, (line - 5) * lineHeight);
+  syncEditorScroll();
+}
+
+function setEditorStatus(message, kind, line = null) {
+  const el = document.getElementById('editor-status');
+  el.className = `editor-status ${kind}`;
+  el.textContent = message;
+  el.onclick = line ? () => jumpToEditorLine(line) : null;
+  el.style.cursor = line ? 'pointer' : '';
+}
+
+async function validateEditor() {
+  const seq = ++editorValidateSeq;
+  const result = await window.onboard.validateConfigText(document.getElementById('editor-input').value, editorState.path);
+  if (seq !== editorValidateSeq) return;  // Superseded by a newer edit
+
+  editorState.error = result.error || null;
+  editorState.errorLine = result.line || null;
+  if (result.error) {
+    setEditorStatus(result.error, 'error', result.line);
+  } else {
+    editorState.items = [...result.items].sort((a, b) => a.line - b.line);
+    const count = result.items.length;
+    const signedNote = result.signed ? ' — saving will invalidate the signature; sign it again to share it' : '';
+    setEditorStatus(`No problems found, ${count} item${count === 1 ? '' : 's'}${signedNote}`, result.signed ? 'warning' : 'ok');
+    populateDependsOnChoices();
+  }
+  renderEditorHighlight();
+}
+
+// ─── Testing Check Commands ────────────────────────────────────────
+
+// The item whose definition the cursor is in
+function itemAtEditorCursor() {
+  const input = document.getElementById('editor-input');
+  const line = input.value.slice(0, input.selectionStart).split('\n').length;
+  return editorState.items.filter(item => item.line <= line).pop() || null;
+}
+
+async function testCheckCommand() {
+  if (editorState.error) {
+    setEditorStatus(`Fix this first: ${editorState.error}`, 'error', editorState.errorLine);
+    return;
+  }
+  const item = itemAtEditorCursor();
+  if (!item) {
+    setEditorStatus('Put the cursor inside an item to test its check command', 'warning');
+    return;
+  }
+  if (!item.check) {
+    setEditorStatus(`Item "${item.id}" has no check command`, 'warning', item.line);
+    return;
+  }
+  if (!(await window.onboard.allowEditorCommand(item.check))) return;
+
+  const panel = document.getElementById('editor-test');
+  const outcome = document.getElementById('editor-test-outcome');
+  panel.style.display = 'block';
+  document.getElementById('editor-test-command').textContent = item.check;
+  document.getElementById('editor-test-output').textContent = '';
+  outcome.textContent = `Running check for "${item.id}"...`;
+  outcome.className = 'editor-test-outcome';
+
+  const result = await window.onboard.run(item.check);
+  if (result.blocked) {
+    outcome.textContent = result.stderr;
+    outcome.className = 'editor-test-outcome failed';
+  } else {
+    outcome.textContent = result.succeeded
+      ? `"${item.id}" counts as installed (exit 0)`
+      : `"${item.id}" counts as not installed (exit ${result.exitCode})`;
+    outcome.className = `editor-test-outcome ${result.succeeded ? 'passed' : 'failed'}`;
+    document.getElementById('editor-test-output').textContent = [result.stdout, result.stderr].filter(Boolean).join('\n').trim();
+  }
+}
+
+// ─── Item Builder ──────────────────────────────────────────────────
+
+async function populateIconChoices() {
+  const select = document.getElementById('builder-icon-img');
+  if (select.options.length > 1) return;
+  const icons = await window.onboard.getBundledIcons();
+  icons.forEach(name => select.add(new Option(name, name)));
+}
+
+function populateDependsOnChoices() {
+  const select = document.getElementById('builder-depends-on');
+  const selected = new Set([...select.selectedOptions].map(o => o.value));
+  select.innerHTML = '';
+  editorState.items.forEach(item => {
+    const option = new Option(item.id, item.id);
+    option.selected = selected.has(item.id);
+    select.add(option);
+  });
+}
+
+// Quote a value only when YAML needs it. JSON strings are valid
+// double-quoted YAML scalars.
+function yamlScalar(value) {
+  const plain = /^[A-Za-z0-9_./@+][A-Za-z0-9_./@+ -]*$/.test(value)
+    && !/\s$/.test(value)
+    && !/^(true|false|null|yes|no|on|off|[-+]?[\d.]+)$/i.test(value);
+  return plain ? value : JSON.stringify(value);
+}
+
+function builderValue(id) {
+  return document.getElementById(id).value.trim();
+}
+
+// An item as YAML lines, ready to go under a section
+function itemYamlLines(item) {
+  const lines = Object.entries(item)
+    .filter(([key, value]) => key !== 'depends_on' && value)
+    .map(([key, value], i) => `${i === 0 ? '  - ' : '    '}${key}: ${yamlScalar(String(value))}`);
+  const dependsOn = [].concat(item.depends_on || []);
+  if (dependsOn.length === 1) lines.push(`    depends_on: ${yamlScalar(dependsOn[0])}`);
+  if (dependsOn.length > 1) lines.push(`    depends_on: [${dependsOn.map(yamlScalar).join(', ')}]`);
+  return lines;
+}
+
+function builtItem() {
+  const provider = builderValue('builder-provider');
+  const hasIcon = builderValue('builder-icon-img') || builderValue('builder-icon');
+  return {
+    id: builderValue('builder-id'),
+    name: builderValue('builder-name'),
+    desc: builderValue('builder-desc'),
+    icon: builderValue('builder-icon'),
+    icon_img: builderValue('builder-icon-img'),
+    icon_bg: hasIcon ? builderValue('builder-icon-bg') : '',
+    ...(provider ? { [provider]: builderValue('builder-package') } : {}),
+    version: builderValue('builder-version'),
+    check: builderValue('builder-check'),
+    install: builderValue('builder-install'),
+    uninstall: builderValue('builder-uninstall'),
+    depends_on: [...document.getElementById('builder-depends-on').selectedOptions].map(o => o.value),
+  };
+}
+
+// Append item lines to the end of `section`, adding the section if it's
+// missing. Returns the new text and the line the item starts on.
+function insertItemText(text, section, itemLines) {
+  const lines = text.replace(/\n+$/, '').split('\n');
+  const header = lines.findIndex(l => new RegExp(`^${section}:\\s*(\\[\\s*\\])?\\s*(#.*)?$`).test(l));
+
+  if (header === -1) {
+    lines.push('', `${section}:`);
+    const start = lines.length + 1;
+    return { text: [...lines, ...itemLines, ''].join('\n'), line: start };
+  }
+
+  lines[header] = `${section}:`;
+  let end = header + 1;
+  while (end < lines.length && !/^[^\s#]/.test(lines[end])) end++;
+  while (end > header + 1 && lines[end - 1].trim() === '') end--;
+
+  const spacer = end > header + 1 ? [''] : [];
+  const after = end < lines.length && lines[end].trim() !== '' ? [''] : [];
+  lines.splice(end, 0, ...spacer, ...itemLines, ...after);
+  return { text: lines.join('\n') + '\n', line: end + spacer.length + 1 };
+}
+
+function addBuiltItem(event) {
+  event.preventDefault();
+  const provider = builderValue('builder-provider');
+  const hasCommands = builderValue('builder-check') && builderValue('builder-install');
+  if (!(provider && builderValue('builder-package')) && !hasCommands) {
+    setEditorStatus('An item needs a package, or both a check and an install command', 'warning');
+    return;
+  }
+
+  const input = document.getElementById('editor-input');
+  const section = document.getElementById('builder-section').value;
+  const { text, line } = insertItemText(input.value, section, itemYamlLines(builtItem()));
+  input.value = text;
+  onEditorInput();
+  jumpToEditorLine(line);
+  document.getElementById('item-builder').reset();
+}
+
+// ─── Repo Scan ─────────────────────────────────────────────────────
+
+let scanResult = null;
+
+// Pick a project folder and propose items for what it needs
+async function scanRepo() {
+  const result = await window.onboard.scanProject();
+  if (!result) return;
+  if (result.error) {
+    showError(`Could not scan folder: ${result.error}`);
+    return;
+  }
+
+  const existing = new Set(currentConfig ? configItems(currentConfig).map(item => item.id) : []);
+  scanResult = { ...result, proposals: result.proposals.filter(p => !existing.has(p.item.id)) };
+
+  document.getElementById('scan-summary').textContent = result.proposals.length === 0
+    ? `Nothing in ${formatPath(result.dir)} that onboard.computer recognises.`
+    : scanResult.proposals.length === 0
+      ? 'Everything this project needs is already in the config.'
+      : `${formatPath(result.dir)} needs these. Checked items are added to ${currentConfig ? 'the config' : 'a new config'} in the editor.`;
+
+  document.getElementById('scan-proposals').innerHTML = scanResult.proposals.map((p, i) => `
+    <li class="scan-proposal">
+      <label>
+        <input type="checkbox" data-index="${i}" checked>
+        <span class="scan-proposal-name">${escapeHtml(p.item.name)}</span>
+        ${p.constraint ? `<span class="scan-proposal-constraint">${escapeHtml(p.constraint)}</span>` : ''}
+      </label>
+      <span class="scan-proposal-reason">${p.reasons.includes('foundation') ? 'needed to install the others' : `from ${escapeHtml(p.reasons.join(', '))}`}</span>
+    </li>`).join('');
+
+  document.getElementById('scan-add-btn').style.display = scanResult.proposals.length > 0 ? '' : 'none';
+  document.getElementById('scan-modal').style.display = 'flex';
+}
+
+function hideScanModal() {
+  document.getElementById('scan-modal').style.display = 'none';
+  scanResult = null;
+}
+
+// Add the checked proposals to the loaded config (or a new one) in the editor
+async function addScannedItems() {
+  const checked = [...document.querySelectorAll('#scan-proposals input:checked')];
+  const proposals = checked.map(input => scanResult.proposals[Number(input.dataset.index)]);
+  const projectName = scanResult.name;
+  hideScanModal();
+  if (proposals.length === 0) return;
+
+  await openEditor();
+  const input = document.getElementById('editor-input');
+  let text = currentConfig ? input.value : input.value.replace('name: "My Setup"', `name: ${JSON.stringify(projectName)}`);
+  let firstLine = null;
+  proposals.forEach(({ item, constraint }) => {
+    const result = insertItemText(text, 'dependencies', itemYamlLines(constraint ? { ...item, version: constraint } : item));
+    text = result.text;
+    firstLine = firstLine ?? result.line;
+  });
+  input.value = text;
+  onEditorInput();
+  jumpToEditorLine(firstLine);
+}
@@ -0,0 +1,258 @@
+// graph.js — Dependency graph for .onboard configs.
+// Loaded by the main process (validation) and by the renderer via a
+// <script> tag (install order), so it stays free of Node and DOM APIs.
+
+// All items in a config, dependencies first, in file order.
+function configItems(config) {
+  return [...(config.dependencies || []), ...(config.apps || [])];
+}
+
+// Every field of an item that holds a shell command.
+const COMMAND_FIELDS = ['check', 'install', 'version_command', 'latest_version', 'upgrade', 'uninstall', 'fix'];
+
+// The commands an item can run, as [field, command] pairs. post_install
+// steps count, including the profile lines and PATH folders they add:
+// those end up in every shell the user opens.
+function itemCommands(item) {
+  const steps = (item.post_install || []).flatMap(step => Object.entries(step)
+    .map(([kind, value]) => [`post_install ${kind}`, String(value)]));
+  return [...COMMAND_FIELDS.filter(field => item[field]).map(field => [field, item[field]]), ...steps];
+}
+
+// Every command a workspace project holds, as [field, command] pairs
+function projectCommands(project) {
+  return [
+    ...(project.setup || []).map(command => ['setup', String(command)]),
+    ...(project.run !== undefined ? [['run', String(project.run)]] : []),
+  ];
+}
+
+// Topologically sort every item across dependencies and apps.
+// Parents always come before their children; otherwise file order is kept.
+// Expects depends_on to already be normalized to an array of ids.
+// Throws on unknown ids and on cycles.
+function resolveOrder(config) {
+  const items = configItems(config);
+  const byId = new Map(items.map(item => [item.id, item]));
+
+  items.forEach(item => {
+    item.depends_on.forEach(depId => {
+      if (!byId.has(depId)) {
+        throw new Error(`Item "${item.id}" depends on unknown id "${depId}"`);
+      }
+    });
+  });
+
+  const order = [];
+  const done = new Set();
+  const visiting = [];
+
+  const visit = (item) => {
+    if (done.has(item.id)) return;
+    const seenAt = visiting.indexOf(item.id);
+    if (seenAt !== -1) {
+      const cycle = [...visiting.slice(seenAt), item.id].join(' → ');
+      throw new Error(`Dependency cycle: ${cycle}`);
+    }
+    visiting.push(item.id);
+    item.depends_on.forEach(depId => visit(byId.get(depId)));
+    visiting.pop();
+    done.add(item.id);
+    order.push(item);
+  };
+
+  items.forEach(visit);
+  return order;
+}
+
+// What installing everything would do, given which ids are installed:
+// the items to install in dependency order, each with the ids it is still
+// waiting on, and the items skipped because they're already installed.
+function buildPlan(config, isInstalled) {
+  const steps = [];
+  const skipped = [];
+  resolveOrder(config).forEach(item => {
+    if (isInstalled(item.id)) {
+      skipped.push(item);
+    } else {
+      steps.push({ item, waitsFor: item.depends_on.filter(id => !isInstalled(id)) });
+    }
+  });
+  return { steps, skipped };
+}
+
+// A config's `env` or `path` value in double quotes, so bash still
+// expands $NAME in it the way the app does
+function scriptValue(value) {
+  return `"${String(value).replace(/^~(?=\/|$)/, '$HOME').replace(/["`\\]/g, '\\$&')}"`;
+}
+
+// A value in single quotes, so bash takes it as it is. This file also runs
+// in the renderer, so it can't use policy.js's shellQuote.
+function scriptQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// A project path quoted for bash, with its leading ~ as $HOME
+function scriptPath(value) {
+  const text = String(value);
+  return /^~(?=\/|$)/.test(text) ? `"$HOME"${scriptQuote(text.slice(1))}` : scriptQuote(text);
+}
+
+// Text from the config as comment lines, each line of it commented out so
+// none of it runs
+function scriptComment(text, indent = '') {
+  return String(text).split('\n').map(line => `${indent}# ${line}`);
+}
+
+// Render a plan as a bash script people can review or run by hand. Each
+// install is guarded by its check, so the script is safe to re-run.
+function planScript(config, plan) {
+  const lines = [
+    '#!/bin/bash',
+    ...scriptComment(`Install plan for "${config.name}", exported from onboard.computer.`),
+    '# Review every command before running it.',
+    'set -e',
+    '',
+  ];
+  const exports = Object.entries(config.env || {}).map(([name, value]) => `export ${name}=${scriptValue(value)}`);
+  if (config.path?.length > 0) {
+    exports.push(`export PATH=${config.path.map(scriptValue).join(':')}:"$PATH"`);
+  }
+  if (exports.length > 0) lines.push(...exports, '');
+  if (plan.skipped.length > 0) {
+    lines.push(...scriptComment(`Already installed: ${plan.skipped.map(item => item.id).join(', ')}`), '');
+  }
+  plan.steps.forEach(({ item, waitsFor }, i) => {
+    const after = waitsFor.length > 0 ? ` (after ${waitsFor.join(', ')})` : '';
+    // Profile lines can't be added from a script the way the app manages
+    // them, so they're listed for the reader instead
+    const steps = (item.post_install || []).flatMap(step => {
+      if (step.run !== undefined) return [`  ${step.run}`];
+      if (step.verify !== undefined) return [`  ${step.verify}`];
+      return scriptComment(`Add to your shell profile: ${step.profile ?? `export PATH="${step.path}:$PATH"`}`, '  ');
+    });
+    lines.push(
+      ...scriptComment(`${i + 1}. ${item.name}${after}`),
+      `if ! (${item.check}) >/dev/null 2>&1; then`,
+      `  ${item.install}`,
+      ...steps,
+      'fi',
+      '',
+    );
+  });
+  // Projects clone once, then set up in their folder
+  (config.workspace || []).forEach(project => {
+    const dir = scriptPath(project.path);
+    const branch = project.branch ? `--branch ${scriptQuote(project.branch)} ` : '';
+    lines.push(
+      ...scriptComment(`Project: ${project.name || project.id}`),
+      `if [ ! -d ${scriptPath(`${project.path}/.git`)} ]; then`,
+      `  git clone ${branch}-- ${scriptQuote(project.repo)} ${dir}`,
+      ...(project.setup || []).map(command => `  (cd ${dir} && ${command})`),
+      'fi',
+      ...(project.run ? scriptComment(`Start it with: cd ${project.path} && ${project.run}`) : []),
+      '',
+    );
+  });
+  // Signing in needs someone at the keyboard
+  if (config.accounts?.length > 0) {
+    lines.push('# Accounts to sign in to afterwards:');
+    config.accounts.forEach(account => lines.push(...scriptComment(`  ${account.name}: ${account.login}`)));
+    lines.push('');
+  }
+  // Templates and backups need the app, so files are only listed
+  if (config.files?.length > 0) {
+    lines.push('# Files onboard.computer writes, which this script leaves alone:');
+    config.files.forEach(file => lines.push(...scriptComment(`  ${file.path}${file.link ? ' (link)' : ''}`)));
+    lines.push('');
+  }
+  // Settings need their earlier values saved to be revertible
+  if (config.settings?.length > 0) {
+    lines.push('# Settings onboard.computer applies, which this script leaves alone:');
+    config.settings.forEach(setting => lines.push(...scriptComment(`  ${setting.domain} ${setting.key} = ${JSON.stringify(setting.value)}`)));
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+// Items that share a lock never install at the same time. Homebrew refuses
+// to run two installs at once, so brew commands share a lock unless the
+// item names its own.
+function installLock(item) {
+  if (item.lock) return item.lock;
+  return /^\s*brew\s/.test(item.install) ? 'homebrew' : null;
+}
+
+// Run `run(item)` for each item as soon as everything it depends on is
+// satisfied, keeping at most `concurrency` runs in flight and never two
+// with the same lock. Items should be in dependency order (see resolveOrder).
+// An item whose parent fails, or depends on something outside this batch
+// that isn't satisfied, is skipped along with everything below it. Once
+// `halted()` returns true nothing new starts; what was left comes back as
+// `notStarted`. Resolves with { skipped: [{ item, unmet }], notStarted }
+// once nothing is left to run.
+function runScheduled(items, { concurrency = 1, isSatisfied, lockOf = installLock, run, halted = () => false }) {
+  return new Promise((resolve) => {
+    const pending = [...items];
+    const running = new Set();
+    const heldLocks = new Set();
+    const skipped = [];
+    const notStarted = [];
+
+    const inFlight = (id) => running.has(id) || pending.some(item => item.id === id);
+
+    const start = (item) => {
+      const lock = lockOf(item);
+      running.add(item.id);
+      if (lock) heldLocks.add(lock);
+
+      const finish = () => {
+        running.delete(item.id);
+        if (lock) heldLocks.delete(lock);
+        pump();
+      };
+      Promise.resolve().then(() => run(item)).then(finish, finish);
+    };
+
+    const pump = () => {
+      if (halted()) {
+        notStarted.push(...pending.splice(0));
+      }
+
+      let changed = true;
+      while (changed) {
+        changed = false;
+        for (const item of [...pending]) {
+          const unmet = item.depends_on.filter(id => !isSatisfied(id));
+          const waiting = unmet.filter(inFlight);
+
+          if (waiting.length < unmet.length) {
+            pending.splice(pending.indexOf(item), 1);
+            skipped.push({ item, unmet });
+            changed = true;
+            continue;
+          }
+          if (waiting.length > 0 || running.size >= concurrency) continue;
+
+          const lock = lockOf(item);
+          if (lock && heldLocks.has(lock)) continue;
+
+          pending.splice(pending.indexOf(item), 1);
+          start(item);
+          changed = true;
+        }
+      }
+
+      if (pending.length === 0 && running.size === 0) {
+        resolve({ skipped, notStarted });
+      }
+    };
+
+    pump();
+  });
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { configItems, COMMAND_FIELDS, itemCommands, projectCommands, resolveOrder, buildPlan, planScript, installLock, runScheduled };
+}
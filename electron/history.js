@@ -0,0 +1,74 @@
+// history.js — Install history on disk.
+// Every install, upgrade and uninstall the app runs is appended to
+// <userData>/history/runs.jsonl (one JSON object per line), with its full
+// output in output/<id>.log next to it. Entries are never pruned, so the
+// folder doubles as an audit trail of what ran on this machine.
+
+const path = require('path');
+const fs = require('fs');
+
+function indexPath(dir) {
+  return path.join(dir, 'runs.jsonl');
+}
+
+function outputPath(dir, id) {
+  return path.join(dir, 'output', `${id}.log`);
+}
+
+// Append one finished run. `run` holds { action, item, name, command,
+// startedAt, exitCode, cancelled, output }; returns the stored entry.
+function recordRun(dir, run) {
+  const { output, ...fields } = run;
+  const startedAt = new Date(run.startedAt);
+  const entry = {
+    id: `${startedAt.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+    ...fields,
+    startedAt: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    succeeded: run.exitCode === 0 && !run.cancelled,
+  };
+
+  fs.mkdirSync(path.join(dir, 'output'), { recursive: true });
+  fs.writeFileSync(outputPath(dir, entry.id), output);
+  fs.appendFileSync(indexPath(dir), JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+// Most recent entries first. `query` matches, case-insensitively, the
+// item, name, action or command, or anything in the run's output.
+function readHistory(dir, { query = '', limit = 200 } = {}) {
+  let lines;
+  try {
+    lines = fs.readFileSync(indexPath(dir), 'utf8').split('\n').filter(Boolean);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const needle = query.trim().toLowerCase();
+  const results = [];
+  for (let i = lines.length - 1; i >= 0 && results.length < limit; i--) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      continue;  // Skip a line cut short by a crash mid-write
+    }
+
+    const matches = !needle
+      || [entry.item, entry.name, entry.action, entry.command].some(field => String(field).toLowerCase().includes(needle))
+      || readOutput(dir, entry.id).toLowerCase().includes(needle);
+    if (matches) results.push(entry);
+  }
+  return results;
+}
+
+function readOutput(dir, id) {
+  try {
+    return fs.readFileSync(outputPath(dir, path.basename(id)), 'utf8');
+  } catch {
+    return '';
+  }
+}
+
+module.exports = { recordRun, readHistory, readOutput };
@@ -0,0 +1,231 @@
+// machine.js — Describe the current machine as a config ("Export my setup").
+// Looks at what's installed — Homebrew formulae and casks, apps in
+// /Applications, global npm and pipx packages, and a few well-known CLIs
+// installed outside a package manager — and turns each into an item.
+// Package-manager items use the shorthand from providers.js, so they get
+// check and install commands when the file is loaded.
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { runCommand } = require('./shell');
+const { CURRENT_SCHEMA_VERSION } = require('./schema');
+
+const APPLICATIONS_DIR = '/Applications';
+
+// Display names and icons for common packages, by package name
+const KNOWN_PACKAGES = {
+  node: { name: 'Node.js', icon_img: 'nodejs.svg', icon_bg: '#333' },
+  python: { name: 'Python 3', icon_img: 'python.svg', icon_bg: '#306998' },
+  git: { name: 'Git', icon_img: 'git.png', icon_bg: '#f0f0f0' },
+  gh: { name: 'GitHub CLI', icon_img: 'github.png', icon_bg: '#24292e' },
+  bun: { name: 'Bun', icon_img: 'bun.svg', icon_bg: '#fbf0df' },
+  go: { name: 'Go', icon: '🔵', icon_bg: '#00ADD8' },
+  ruby: { name: 'Ruby', icon: '💎', icon_bg: '#CC342D' },
+  php: { name: 'PHP', icon: '🐘', icon_bg: '#777BB4' },
+  openjdk: { name: 'Java', icon: '☕', icon_bg: '#ED8B00' },
+  elixir: { name: 'Elixir', icon: '💧', icon_bg: '#6E4A7E' },
+  yarn: { name: 'Yarn', icon: '📦', icon_bg: '#2C8EBB' },
+  pnpm: { name: 'pnpm', icon: '📦', icon_bg: '#F69220' },
+  pipx: { name: 'pipx', icon: '📦', icon_bg: '#3775A9' },
+  terraform: { name: 'Terraform', icon: '🏗', icon_bg: '#7B42BC' },
+};
+
+// Apps in /Applications that a cask installs, by bundle name
+const KNOWN_APPS = {
+  'Cursor': { cask: 'cursor', icon_img: 'Cursor.png' },
+  'Visual Studio Code': { cask: 'visual-studio-code' },
+  'Zed': { cask: 'zed' },
+  'iTerm': { cask: 'iterm2' },
+  'Warp': { cask: 'warp' },
+  'Docker': { cask: 'docker' },
+  'Postman': { cask: 'postman' },
+  'Insomnia': { cask: 'insomnia' },
+  'Alfred 5': { cask: 'alfred', icon_img: 'Alfred-5.png' },
+  'Raycast': { cask: 'raycast' },
+  'Rectangle': { cask: 'rectangle', icon_img: 'Rectangle.png' },
+  'Caffeine': { cask: 'caffeine', icon_img: 'Caffeine.png' },
+  'Figma': { cask: 'figma' },
+  'Sketch': { cask: 'sketch' },
+  'Slack': { cask: 'slack' },
+  'Discord': { cask: 'discord' },
+  '1Password 7': { cask: '1password' },
+  'Field Theory': { cask: 'fieldtheory', icon_img: 'fieldtheory-icon.png' },
+  'Claude': { cask: 'claude' },
+  'TablePlus': { cask: 'tableplus' },
+  'Postico 2': { cask: 'postico' },
+  'Proxyman': { cask: 'proxyman' },
+  'Charles': { cask: 'charles' },
+};
+
+// CLIs that are usually installed with their own installer
+const KNOWN_CLIS = [
+  {
+    id: 'rust', name: 'Rust', icon: '🦀', icon_bg: '#CE422B', bin: 'rustup',
+    install: "curl --proto '=https' --tlsv1.2 -sSf https://sh.rustup.rs | sh -s -- -y",
+  },
+  {
+    id: 'bun', name: 'Bun', icon_img: 'bun.svg', icon_bg: '#fbf0df', bin: 'bun',
+    install: 'curl -fsSL https://bun.sh/install | bash',
+  },
+  {
+    id: 'uv', name: 'uv', icon: '🐍', icon_bg: '#261230', bin: 'uv',
+    install: 'curl -LsSf https://astral.sh/uv/install.sh | sh',
+  },
+  {
+    id: 'nvm', name: 'nvm', icon: '📦', icon_bg: '#333', check: 'test -s "$HOME/.nvm/nvm.sh"',
+    install: 'curl -o- https://raw.githubusercontent.com/nvm-sh/nvm/v0.40.1/install.sh | bash',
+  },
+];
+
+// Packages that come with their package manager
+const BUNDLED_NPM = ['npm', 'corepack'];
+
+async function lines(command) {
+  const result = await runCommand(command);
+  return result.succeeded ? result.stdout.split('\n').map(l => l.trim()).filter(Boolean) : [];
+}
+
+async function listJson(command) {
+  const result = await runCommand(command);
+  try {
+    return result.succeeded ? JSON.parse(result.stdout) : null;
+  } catch {
+    return null;
+  }
+}
+
+function toId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Inspect the machine. Returns a config object with everything found.
+async function scanMachine() {
+  const dependencies = [];
+  const apps = [];
+  const ids = new Set();
+
+  // Ids are shared across sections; a cask and a formula can share a name
+  const add = (list, item) => {
+    let id = item.id;
+    for (let n = 2; ids.has(id); n++) id = `${item.id}-${n}`;
+    ids.add(id);
+    list.push({ ...item, id });
+    return id;
+  };
+
+  const hasBrew = (await runCommand('command -v brew')).succeeded;
+  const onMac = process.platform === 'darwin';
+  if (onMac) {
+    add(dependencies, {
+      id: 'xcode-cli', name: 'Xcode CLI Tools', icon: '🔨', icon_bg: '#1c7ed6',
+      check: 'xcode-select -p', install: 'xcode-select --install',
+    });
+  }
+  if (hasBrew) {
+    add(dependencies, {
+      id: 'homebrew', name: 'Homebrew', icon_img: 'homebrew.svg', icon_bg: '#fbb040',
+      check: 'which brew',
+      install: '/bin/bash -c "$(curl -fsSL https://raw.githubusercontent.com/Homebrew/install/HEAD/install.sh)"',
+      ...(onMac ? { depends_on: 'xcode-cli' } : {}),
+    });
+  }
+
+  // Formulae the user asked for, not everything pulled in as a dependency
+  const formulae = hasBrew ? await lines('brew leaves --installed-on-request 2>/dev/null || brew list --formula -1') : [];
+  const packageIds = {};
+  formulae.forEach(formula => {
+    const base = formula.split('/').pop().replace(/@.*/, '');
+    const known = KNOWN_PACKAGES[base] || {};
+    packageIds[base] = add(dependencies, {
+      id: toId(formula.split('/').pop()),
+      name: known.name || formula,
+      ...known,
+      desc: 'Homebrew formula',
+      brew: formula,
+      depends_on: 'homebrew',
+    });
+  });
+
+  const casks = hasBrew ? await lines('brew list --cask -1') : [];
+  casks.forEach(cask => {
+    const bundle = Object.keys(KNOWN_APPS).find(name => KNOWN_APPS[name].cask === cask);
+    const { cask: _cask, ...known } = KNOWN_APPS[bundle] || {};
+    add(apps, { id: toId(cask), name: bundle || cask, ...known, desc: 'Homebrew cask', cask, depends_on: 'homebrew' });
+  });
+
+  // Apps we know a cask for but that weren't installed with Homebrew
+  let bundles = [];
+  try {
+    bundles = fs.readdirSync(APPLICATIONS_DIR).filter(name => name.endsWith('.app')).map(name => name.slice(0, -4));
+  } catch {
+    // No /Applications outside macOS
+  }
+  bundles.forEach(bundle => {
+    const known = KNOWN_APPS[bundle];
+    if (!known || casks.includes(known.cask)) return;
+    const { cask, ...icon } = known;
+    add(apps, {
+      id: toId(cask),
+      name: bundle,
+      ...icon,
+      desc: 'Installed outside Homebrew',
+      check: `ls "${APPLICATIONS_DIR}/${bundle}.app"`,
+      install: `brew install --cask ${cask}`,
+      ...(hasBrew ? { depends_on: 'homebrew' } : {}),
+    });
+  });
+
+  const npm = await listJson('npm ls -g --depth=0 --json');
+  Object.keys(npm?.dependencies || {}).filter(name => !BUNDLED_NPM.includes(name)).forEach(name => {
+    add(dependencies, {
+      id: toId(name),
+      name,
+      desc: 'Global npm package',
+      npm: name,
+      ...(packageIds.node ? { depends_on: packageIds.node } : {}),
+    });
+  });
+
+  const pipx = await listJson('pipx list --json');
+  Object.keys(pipx?.venvs || {}).forEach(name => {
+    add(dependencies, {
+      id: toId(name),
+      name,
+      desc: 'pipx package',
+      pipx: name,
+      ...(packageIds.pipx ? { depends_on: packageIds.pipx } : {}),
+    });
+  });
+
+  for (const { bin, check, install, ...cli } of KNOWN_CLIS) {
+    if (ids.has(cli.id) || formulae.includes(bin)) continue;
+    const command = check || `which ${bin}`;
+    if ((await runCommand(command)).succeeded) {
+      add(dependencies, { ...cli, check: command, install });
+    }
+  }
+
+  return {
+    schema_version: CURRENT_SCHEMA_VERSION,
+    name: 'My Setup',
+    description: 'Exported from this machine',
+    dependencies,
+    ...(apps.length > 0 ? { apps } : {}),
+  };
+}
+
+// The config as .onboard text, with a note to prune it
+function machineConfigYaml(config) {
+  const header = [
+    `# Exported by onboard.computer on ${new Date().toISOString().slice(0, 10)}.`,
+    '# Remove anything your team doesn\'t need before sharing it.',
+    '',
+    '',
+  ].join('\n');
+  const body = yaml.dump(config, { lineWidth: -1, noRefs: true })
+    .replace(/^(dependencies|apps):/gm, '\n$1:')
+    .replace(/\n( {4}.*)\n( {2}- id:)/g, '\n$1\n\n$2');
+  return header + body;
+}
+
+module.exports = { scanMachine, machineConfigYaml };
@@ -4,11 +4,21 @@
 
 const { app, BrowserWindow, ipcMain, shell, dialog } = require('electron');
 const path = require('path');
-const { exec, spawn } = require('child_process');
 const fs = require('fs');
 const os = require('os');
-const yaml = require('js-yaml');
 const { autoUpdater } = require('electron-updater');
+const { SUDO_PROMPT_PATTERN, runCommand, streamCommand, ptyCommand, shellEnvReady, refreshShellEnv, setConfigEnv } = require('./shell');
+const { loadConfigSource, readSource, checkConfigText } = require('./config');
+const { recordRun, readHistory, readOutput } = require('./history');
+const { needsApproval, readKeyring, addPublisher } = require('./trust');
+const { HELPERS, readPolicy, configCommands, deniedBy, checkConfigPolicy, checkCommand } = require('./policy');
+const { scanMachine, machineConfigYaml } = require('./machine');
+const { scanProject } = require('./project');
+const { configItems } = require('./graph');
+const { runPostInstall, readProfileEntries, removeProfileEntry, removeProfileBlock } = require('./postinstall');
+const { readVariables, saveVariables, variableValues, fileStatus, applyFile, describeFile } = require('./dotfiles');
+const { settingsStatus, applySettings, revertSettings, describeSetting } = require('./settings');
+const { projectPath, cloneCommand, openCommand, projectStatus } = require('./workspace');
 
 // Configure auto-updater
 autoUpdater.autoDownload = false;
@@ -63,6 +73,8 @@ function createWindow() {
 
 app.whenReady().then(() => {
   createWindow();
+  // Capture the login shell's environment while the window loads
+  shellEnvReady();
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
@@ -84,86 +96,94 @@ app.on('open-file', (event, filePath) => {
   }
 });
 
-// ─── Shell Helpers ─────────────────────────────────────────────────
-
-function getShellEnv() {
-  const homeDir = os.homedir();
-  const extraPaths = [
-    '/opt/homebrew/bin',
-    '/usr/local/bin',
-    '/usr/bin',
-    '/bin',
-    '/usr/sbin',
-    '/sbin',
-    `${homeDir}/.nvm/versions/node/*/bin`,
-    `${homeDir}/.local/bin`,
-    `${homeDir}/.cargo/bin`,
-  ];
-  return {
-    ...process.env,
-    PATH: extraPaths.join(':') + ':' + (process.env.PATH || ''),
-  };
+// ─── Command Policy ────────────────────────────────────────────────
+
+// Commands from the loaded, approved config. Nothing else runs.
+let allowedCommands = new Set();
+
+// Check commands the user let the editor try, while the current config
+// stays loaded
+let editorCommands = new Set();
+
+// The file (or URL, or bundled:<name>) the loaded config was opened from,
+// and the config itself, for the post_install steps of its items
+let loadedSource = null;
+let loadedConfig = null;
+
+// Configs waiting for the user to approve them, with the source each was
+// loaded from, by digest
+const pendingConfigs = new Map();
+
+// Make a trusted config the loaded one, replacing the previous config's
+// commands and anything allowed while it was loaded
+function useConfig(source, config) {
+  allowedCommands = configCommands(config);
+  editorCommands = new Set();
+  sudoPassword = null;
+  setConfigEnv(config);
+  loadedSource = source;
+  loadedConfig = config;
 }
 
-function runCommand(command) {
-  return new Promise((resolve) => {
-    exec(command, {
-      shell: '/bin/bash',
-      env: getShellEnv(),
-      timeout: 30000,
-    }, (error, stdout, stderr) => {
-      resolve({
-        stdout: stdout?.trim() || '',
-        stderr: stderr?.trim() || '',
-        exitCode: error ? error.code || 1 : 0,
-        succeeded: !error,
-      });
-    });
-  });
+// A broken policy file blocks everything rather than nothing
+let policy;
+try {
+  policy = readPolicy(process.env.ONBOARD_POLICY);
+} catch (err) {
+  console.error(err.message);
+  policy = { deny: [{ pattern: 'unreadable policy file', regex: /[\s\S]*/ }] };
 }
 
-// ─── Config Validation ─────────────────────────────────────────────
-
-function validateConfig(config) {
-  if (!config || typeof config !== 'object') {
-    throw new Error('Invalid config: not an object');
-  }
-  if (!config.name) {
-    throw new Error('Config missing "name"');
-  }
-  if (!Array.isArray(config.dependencies)) {
-    throw new Error('Config missing "dependencies" array');
-  }
-  if (config.apps !== undefined && !Array.isArray(config.apps)) {
-    throw new Error('"apps" must be an array if provided');
-  }
-  if (!config.apps) {
-    config.apps = [];
-  }
-
-  const validateItem = (item, section, index) => {
-    if (!item.id) throw new Error(`Item ${index} in ${section} missing "id"`);
-    if (!item.name) throw new Error(`Item "${item.id}" missing "name"`);
-    if (!item.check) throw new Error(`Item "${item.id}" missing "check"`);
-    if (!item.install) throw new Error(`Item "${item.id}" missing "install"`);
-  };
+function blockedResult(reason) {
+  return { stdout: '', stderr: reason, exitCode: 126, succeeded: false, blocked: true };
+}
 
-  config.dependencies.forEach((d, i) => validateItem(d, 'dependencies', i));
-  config.apps.forEach((a, i) => validateItem(a, 'apps', i));
+// Why the admin's deny list blocks a command, or null
+function policyBlock(command) {
+  const pattern = deniedBy(command, policy);
+  return pattern ? `Blocked by policy: matches "${pattern}"` : null;
+}
 
-  return config;
+// Run a command the app built itself; only the admin's deny list applies
+function runBuiltCommand(command) {
+  const blocked = policyBlock(command);
+  return blocked ? blockedResult(blocked) : runCommand(command);
 }
 
 // ─── IPC Handlers ──────────────────────────────────────────────────
 
-// Run an arbitrary shell command and return the result.
+// Run a command from the loaded config, or one the editor was allowed to
+// try, and return the result.
 ipcMain.handle('shell:run', async (_event, command) => {
-  return runCommand(command);
+  const allowed = editorCommands.has(command) ? editorCommands : allowedCommands;
+  const blocked = checkCommand(command, { allowed, policy });
+  return blocked ? blockedResult(blocked) : runCommand(command);
+});
+
+// Run one of the built-in helper commands (see policy.js). versionFlag
+// runs its argument, so it only takes the id of a loaded item.
+ipcMain.handle('shell:runHelper', async (_event, name, arg) => {
+  if (!Object.hasOwn(HELPERS, name) || typeof arg !== 'string') {
+    return blockedResult(`Blocked: unknown helper "${name}"`);
+  }
+  if (name === 'versionFlag' && !(loadedConfig && configItems(loadedConfig).some(item => item.id === arg))) {
+    return blockedResult(`Blocked: "${arg}" is not an item in the loaded config`);
+  }
+  return runBuiltCommand(HELPERS[name](arg));
 });
 
-// Open a URL in the user's default browser.
+// Open a web page in the user's default browser. Other kinds of URL
+// (file:, custom app schemes) can start programs, so they're refused.
 ipcMain.handle('shell:openExternal', async (_event, url) => {
-  await shell.openExternal(url);
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch {
+    return false;
+  }
+  if (parsed.protocol !== 'https:') return false;
+  await shell.openExternal(parsed.href);
+  return true;
 });
 
 // Get home directory.
@@ -174,93 +194,102 @@ ipcMain.handle('fs:homedir', async () => {
 // Track active processes for cancellation
 const activeProcesses = new Map();
 
+// Run a command in a pseudo-terminal under `id`, passing its output to
+// `send`, answering sudo prompts and tracking it for input and
+// cancellation. Resolves to the shell result with `cancelled`.
+async function runInTerminal(sender, id, command, send, { cwd } = {}) {
+  const answerSudo = sudoResponder(id, sender);
+  const proc = ptyCommand(command, (data) => {
+    send(data);
+    answerSudo(data);
+  }, { cwd });
+  activeProcesses.set(id, { proc, cancelled: false });
+
+  const done = await proc.done;
+  const cancelled = activeProcesses.get(id)?.cancelled || false;
+  activeProcesses.delete(id);
+  awaitingPassword.delete(id);
+  return { ...done, cancelled };
+}
+
 // Run a long-lived command with streaming output (for installs, clones, etc.)
 ipcMain.handle('shell:runStreaming', async (event, command) => {
-  return new Promise((resolve) => {
-    const child = spawn('/bin/bash', ['-c', command], {
-      env: getShellEnv(),
-    });
-
-    let stdout = '';
-    let stderr = '';
-
-    child.stdout.on('data', (data) => {
-      stdout += data.toString();
-      event.sender.send('shell:streamOutput', { data: data.toString(), stream: 'stdout' });
-    });
+  const blocked = checkCommand(command, { allowed: allowedCommands, policy });
+  if (blocked) return blockedResult(blocked);
 
-    child.stderr.on('data', (data) => {
-      stderr += data.toString();
-      event.sender.send('shell:streamOutput', { data: data.toString(), stream: 'stderr' });
-    });
-
-    child.on('close', (code) => {
-      resolve({
-        stdout: stdout.trim(),
-        stderr: stderr.trim(),
-        exitCode: code,
-        succeeded: code === 0,
-      });
-    });
-
-    child.on('error', (err) => {
-      resolve({
-        stdout,
-        stderr: err.message,
-        exitCode: 1,
-        succeeded: false,
-      });
-    });
+  await shellEnvReady();
+  const { done } = streamCommand(command, (data, stream) => {
+    event.sender.send('shell:streamOutput', { data, stream });
   });
+  return done;
 });
 
-// Run a command with streaming output, trackable by ID for cancellation
-ipcMain.handle('shell:runStreamingWithId', async (event, command, id) => {
-  return new Promise((resolve) => {
-    const child = spawn('/bin/bash', ['-c', command], {
-      env: getShellEnv(),
-    });
-
-    activeProcesses.set(id, { child, cancelled: false });
-
-    let stdout = '';
-    let stderr = '';
-
-    child.stdout.on('data', (data) => {
-      stdout += data.toString();
-      event.sender.send('shell:streamOutput', { data: data.toString(), stream: 'stdout', id });
-    });
+// Run a command in a pseudo-terminal with streaming output, trackable by
+// ID for input and cancellation. Installs, upgrades and uninstalls pass
+// `record` ({ action, item, name }) so the run is written to the install
+// history, and the login environment is captured again afterwards (an
+// installer may have added to PATH) before the renderer re-checks. An
+// install that succeeds goes on with the item's post_install steps, in the
+// same terminal; an uninstall takes the item's lines out of the profile.
+ipcMain.handle('shell:runStreamingWithId', async (event, command, id, record) => {
+  const startedAt = Date.now();
+  let output = '';
+  let result;
+  let cancelled = false;
+
+  const send = (data) => {
+    output += data;
+    event.sender.send('shell:streamOutput', { data, stream: 'stdout', id });
+  };
 
-    child.stderr.on('data', (data) => {
-      stderr += data.toString();
-      event.sender.send('shell:streamOutput', { data: data.toString(), stream: 'stderr', id });
-    });
+  const runAllowed = async (cmd) => {
+    const blocked = checkCommand(cmd, { allowed: allowedCommands, policy });
+    if (blocked) {
+      send(`${blocked}\r\n`);
+      return blockedResult(blocked);
+    }
+    const done = await runInTerminal(event.sender, id, cmd, send);
+    cancelled = cancelled || done.cancelled;
+    return done;
+  };
 
-    child.on('close', (code) => {
-      const processInfo = activeProcesses.get(id);
-      const cancelled = processInfo?.cancelled || false;
-      activeProcesses.delete(id);
-
-      resolve({
-        stdout: stdout.trim(),
-        stderr: stderr.trim(),
-        exitCode: code,
-        succeeded: code === 0,
-        cancelled,
+  const blocked = checkCommand(command, { allowed: allowedCommands, policy });
+  if (blocked) {
+    result = blockedResult(blocked);
+    output = blocked;
+  } else {
+    if (SUDO_ACTIONS.includes(record?.action)) sudoBatch.ids.add(id);
+    await shellEnvReady();
+    result = await runAllowed(command);
+
+    const item = record && loadedConfig && configItems(loadedConfig).find(i => i.id === record.item);
+    if (record?.action === 'install' && result.succeeded && !cancelled && item?.post_install) {
+      const after = await runPostInstall(item, {
+        run: runAllowed,
+        check: (cmd) => {
+          const denied = checkCommand(cmd, { allowed: allowedCommands, policy });
+          return denied ? blockedResult(denied) : runCommand(cmd);
+        },
+        refresh: refreshShellEnv,
+        write: (text) => send(text.replace(/\n/g, '\r\n')),
       });
-    });
+      if (!after.succeeded) result = { ...result, ...after };
+    }
+    if (record?.action === 'uninstall' && result.succeeded) {
+      removeProfileEntry(record.item);
+    }
+    if (record) await refreshShellEnv();
+    leaveSudoBatch(id);
+  }
 
-    child.on('error', (err) => {
-      activeProcesses.delete(id);
-      resolve({
-        stdout,
-        stderr: err.message,
-        exitCode: 1,
-        succeeded: false,
-        cancelled: false,
-      });
-    });
-  });
+  if (record) {
+    try {
+      recordRun(historyDir(), { ...record, command, startedAt, exitCode: result.exitCode, cancelled, output });
+    } catch (err) {
+      console.error('Failed to write install history:', err);
+    }
+  }
+  return { ...result, cancelled };
 });
 
 // Cancel a running process by ID
@@ -268,66 +297,459 @@ ipcMain.handle('shell:cancelProcess', async (_event, id) => {
   const processInfo = activeProcesses.get(id);
   if (processInfo) {
     processInfo.cancelled = true;
-    processInfo.child.kill('SIGTERM');
+    processInfo.proc.kill('SIGTERM');
     return true;
   }
   return false;
 });
 
-// Open a path with the default application
-ipcMain.handle('shell:openPath', async (_event, filePath) => {
-  return shell.openPath(filePath);
+// Send keystrokes to a running process (answers to [y/N], RETURN, ...)
+ipcMain.handle('shell:writeInput', async (_event, id, data) => {
+  activeProcesses.get(id)?.proc.write(data);
 });
 
-// Reveal a file/folder in Finder
-ipcMain.handle('shell:showInFolder', async (_event, filePath) => {
-  shell.showItemInFolder(filePath);
+// ─── Sudo Prompts ──────────────────────────────────────────────────
+
+// The user's password, asked for the first time sudo needs it in a batch
+// and reused by the rest of that batch. Forgotten when the batch ends or
+// another config is loaded. Kept in memory only.
+let sudoPassword = null;
+
+// The runs sharing sudoPassword: one install, upgrade, uninstall or fix on
+// its own, or every one started between shell:beginBatch and
+// shell:endBatch ("Install all", a rollback). Other commands, like a
+// project's own scripts or a sign-in, are asked each time.
+const SUDO_ACTIONS = ['install', 'upgrade', 'uninstall', 'fix'];
+const sudoBatch = { open: 0, ids: new Set() };
+
+function leaveSudoBatch(id) {
+  sudoBatch.ids.delete(id);
+  if (sudoBatch.open === 0 && sudoBatch.ids.size === 0) sudoPassword = null;
+}
+
+ipcMain.handle('shell:beginBatch', async () => {
+  sudoBatch.open++;
 });
 
-// ─── Config Loading ────────────────────────────────────────────────
+ipcMain.handle('shell:endBatch', async () => {
+  sudoBatch.open = Math.max(0, sudoBatch.open - 1);
+  if (sudoBatch.open === 0 && sudoBatch.ids.size === 0) sudoPassword = null;
+});
 
-// Load config from a local file
-ipcMain.handle('config:loadFile', async (_event, filePath) => {
+// Ids of processes waiting for the user to type a password
+const awaitingPassword = new Set();
+
+// Watch a process's output for sudo's prompt and answer it: with the
+// batch's password if it's in the batch and we have one, otherwise by
+// asking the renderer.
+function sudoResponder(id, sender) {
+  let recent = '';
+  return (data) => {
+    recent = (recent + data).slice(-300);
+    if (!SUDO_PROMPT_PATTERN.test(recent)) return;
+
+    // A second prompt right after we answered means the password was wrong
+    if (/Sorry, try again/.test(recent)) sudoPassword = null;
+    recent = '';
+
+    if (sudoPassword !== null && sudoBatch.ids.has(id)) {
+      activeProcesses.get(id)?.proc.write(sudoPassword + '\r');
+    } else {
+      awaitingPassword.add(id);
+      sender.send('shell:passwordPrompt', id);
+    }
+  };
+}
+
+// The user's answer to a password prompt, or null if they cancelled
+ipcMain.handle('shell:providePassword', async (_event, id, password) => {
+  if (!awaitingPassword.delete(id)) return;
+  const processInfo = activeProcesses.get(id);
+  if (!processInfo) return;
+
+  if (password === null) {
+    processInfo.proc.write('\x03');  // Ctrl+C makes sudo give up
+    return;
+  }
+  if (sudoBatch.ids.has(id)) sudoPassword = password;
+  processInfo.proc.write(password + '\r');
+});
+
+// Where an app of the loaded config is installed: the first bundle its
+// check lists that exists (most checks are `ls /Applications/Name.app`),
+// or else /Applications/<name>.app. Null for ids that aren't its apps, so
+// the renderer can only open what the config installs.
+function appBundlePath(id) {
+  const app = loadedConfig?.apps.find(a => a.id === id);
+  if (!app) return null;
+  const match = (app.check || '').match(/ls\s+(.+\.app)/);
+  const paths = match ? match[1].split('||').map(p => p.trim().replace(/\\/g, '')) : [];
+  return paths.find(p => fs.existsSync(p)) || `/Applications/${app.name}.app`;
+}
+
+// Open an app of the loaded config. Resolves to an error message, or ''.
+ipcMain.handle('shell:openApp', async (_event, id) => {
+  const appPath = appBundlePath(id);
+  if (!appPath) return `Unknown app "${id}"`;
+  return shell.openPath(appPath);
+});
+
+// Reveal an app of the loaded config in Finder
+ipcMain.handle('shell:revealApp', async (_event, id) => {
+  const appPath = appBundlePath(id);
+  if (appPath) shell.showItemInFolder(appPath);
+});
+
+// ─── Install History ───────────────────────────────────────────────
+
+function historyDir() {
+  return path.join(app.getPath('userData'), 'history');
+}
+
+// List recorded runs, most recent first, optionally filtered by a search query
+ipcMain.handle('history:list', async (_event, query) => {
   try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const config = yaml.load(content);
-    return validateConfig(config);
+    return readHistory(historyDir(), { query });
   } catch (err) {
     return { error: err.message };
   }
 });
 
-// Load config from a URL
-ipcMain.handle('config:loadURL', async (_event, url) => {
+// Full output of one recorded run
+ipcMain.handle('history:output', async (_event, id) => {
+  return readOutput(historyDir(), id);
+});
+
+// Reveal the history folder in Finder (for sending to IT)
+ipcMain.handle('history:showFolder', async () => {
+  fs.mkdirSync(historyDir(), { recursive: true });
+  shell.openPath(historyDir());
+});
+
+// ─── Shell Profile ─────────────────────────────────────────────────
+
+// The block of lines post_install steps added to the shell profile
+ipcMain.handle('profile:read', async () => {
+  return readProfileEntries();
+});
+
+// Take the whole block out, leaving the rest of the profile as it was
+ipcMain.handle('profile:removeBlock', async () => {
   try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    const content = await response.text();
-    const config = yaml.load(content);
-    return validateConfig(config);
+    removeProfileBlock();
   } catch (err) {
     return { error: err.message };
   }
+  await refreshShellEnv();
+  return readProfileEntries();
 });
 
-// Load a bundled config by name (defaults to 'builder')
-ipcMain.handle('config:loadBundled', async (_event, name) => {
+// ─── Files ─────────────────────────────────────────────────────────
+
+// What dotfiles.js needs to check and write the loaded config's files:
+// where values, repo clones and backups live, and how to run git
+function fileContext() {
+  const dataDir = app.getPath('userData');
+  return { dataDir, values: variableValues(loadedConfig, dataDir), run: runBuiltCommand };
+}
+
+// Where every file of the loaded config stands (see fileStatus)
+ipcMain.handle('files:status', async () => {
+  if (!loadedConfig) return [];
+  const ctx = fileContext();
+  return Promise.all(loadedConfig.files.map(item => fileStatus(item, ctx)));
+});
+
+// Write or link one file, backing up what it replaces, and record it in
+// the install history like an install
+ipcMain.handle('files:apply', async (_event, id) => {
+  const item = loadedConfig?.files.find(file => file.id === id);
+  if (!item) return { error: `Unknown file "${id}"` };
+
+  const startedAt = Date.now();
+  let result;
+  let output;
   try {
-    const filename = (name || 'builder') + '.onboard';
-    // In development, load from examples/; in production, from Resources
-    const devPath = path.join(__dirname, 'examples', filename);
-    const prodPath = path.join(process.resourcesPath, filename);
-    const filePath = fs.existsSync(devPath) ? devPath : prodPath;
-    const content = fs.readFileSync(filePath, 'utf8');
-    const config = yaml.load(content);
-    return validateConfig(config);
+    result = await applyFile(item, fileContext());
+    output = !result.changed ? `${item.path} is already up to date\n`
+      : result.backup ? `Moved the previous ${item.path} to ${result.backup}\n` : `Created ${item.path}\n`;
+  } catch (err) {
+    result = { error: err.message };
+    output = `${err.message}\n`;
+  }
+
+  try {
+    recordRun(historyDir(), {
+      action: 'apply', item: item.id, name: item.name || item.path, command: describeFile(item),
+      startedAt, exitCode: result.error ? 1 : 0, cancelled: false, output,
+    });
+  } catch (err) {
+    console.error('Failed to write install history:', err);
+  }
+  return result;
+});
+
+// The loaded config's variables with the values entered so far
+ipcMain.handle('files:variables', async () => {
+  const stored = readVariables(app.getPath('userData'));
+  return Object.entries(loadedConfig?.variables || {}).map(([name, variable]) => ({
+    name,
+    prompt: variable.prompt,
+    value: stored[name] ?? (variable.default !== undefined ? String(variable.default) : ''),
+  }));
+});
+
+// Remember values for the loaded config's variables
+ipcMain.handle('files:saveVariables', async (_event, values) => {
+  const known = Object.keys(loadedConfig?.variables || {});
+  const entries = Object.entries(values || {}).filter(([name, value]) => known.includes(name) && typeof value === 'string');
+  try {
+    saveVariables(app.getPath('userData'), Object.fromEntries(entries.map(([name, value]) => [name, value.trim()])));
   } catch (err) {
     return { error: err.message };
   }
+  return {};
 });
 
+// ─── Settings ──────────────────────────────────────────────────────
+
+function settingsContext() {
+  return { dataDir: app.getPath('userData'), run: runBuiltCommand };
+}
+
+// Where every setting of the loaded config stands (see settingsStatus)
+ipcMain.handle('settings:status', async () => {
+  if (!loadedConfig) return [];
+  return settingsStatus(loadedConfig.settings, settingsContext());
+});
+
+// Apply or revert the loaded config's settings as one batch, recorded in
+// the install history as a single run
+function settingsHandler(action, run) {
+  return async () => {
+    const settings = loadedConfig?.settings || [];
+    if (settings.length === 0) return { error: 'This config has no settings' };
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await run(settings, settingsContext());
+    } catch (err) {
+      result = { failed: [], output: err.message, error: err.message };
+    }
+
+    try {
+      recordRun(historyDir(), {
+        action, item: 'settings', name: 'macOS settings', command: settings.map(describeSetting).join('\n'),
+        startedAt, exitCode: result.error || result.failed.length > 0 ? 1 : 0, cancelled: false,
+        output: result.output ? `${result.output}\n` : '',
+      });
+    } catch (err) {
+      console.error('Failed to write install history:', err);
+    }
+    return result;
+  };
+}
+
+ipcMain.handle('settings:apply', settingsHandler('apply', applySettings));
+ipcMain.handle('settings:revert', settingsHandler('revert', revertSettings));
+
+// ─── Workspace ─────────────────────────────────────────────────────
+
+// Cloning, setting up and running a project happen in the project card's
+// terminal, under "project-<id>", and are recorded in the install
+// history. The app builds the clone command, so only the deny list applies
+// to it; setup and run commands come from the config and must be allowed.
+
+function findProject(id) {
+  return loadedConfig?.workspace.find(project => project.id === id);
+}
+
+// Run `steps` ({ command, built, cwd }) in order, stopping at the first
+// that fails
+async function runProjectSteps(sender, project, action, steps) {
+  const id = `project-${project.id}`;
+  const startedAt = Date.now();
+  let output = '';
+  let result = { succeeded: true, exitCode: 0 };
+  let cancelled = false;
+
+  const send = (data) => {
+    output += data;
+    sender.send('shell:streamOutput', { data, stream: 'stdout', id });
+  };
+
+  await shellEnvReady();
+  for (const { command, built, cwd } of steps) {
+    const blocked = built ? policyBlock(command) : checkCommand(command, { allowed: allowedCommands, policy });
+    if (blocked) {
+      send(`${blocked}\r\n`);
+      result = blockedResult(blocked);
+      break;
+    }
+    send(`$ ${command}\r\n`);
+    result = await runInTerminal(sender, id, command, send, { cwd });
+    cancelled = result.cancelled;
+    if (!result.succeeded || cancelled) break;
+  }
+
+  try {
+    recordRun(historyDir(), {
+      action, item: project.id, name: project.name || project.id, command: steps.map(step => step.command).join('\n'),
+      startedAt, exitCode: result.exitCode, cancelled, output,
+    });
+  } catch (err) {
+    console.error('Failed to write install history:', err);
+  }
+  return { ...result, cancelled };
+}
+
+function setupSteps(project) {
+  return (project.setup || []).map(command => ({ command, cwd: projectPath(project) }));
+}
+
+// Where every project of the loaded config stands (see projectStatus)
+ipcMain.handle('workspace:status', async () => {
+  if (!loadedConfig) return [];
+  return Promise.all(loadedConfig.workspace.map(project => projectStatus(project, { run: runBuiltCommand })));
+});
+
+// Clone a project and run its setup commands in the clone
+ipcMain.handle('workspace:clone', async (event, id) => {
+  const project = findProject(id);
+  if (!project) return { error: `Unknown project "${id}"` };
+  const status = await projectStatus(project, { run: runBuiltCommand });
+  if (status.state !== 'missing') return { error: status.detail || status.error || `${project.path} is already cloned` };
+
+  fs.mkdirSync(path.dirname(projectPath(project)), { recursive: true });
+  return runProjectSteps(event.sender, project, 'clone', [{ command: cloneCommand(project), built: true }, ...setupSteps(project)]);
+});
+
+// Run a cloned project's setup commands again
+ipcMain.handle('workspace:setup', async (event, id) => {
+  const project = findProject(id);
+  if (!project?.setup?.length) return { error: `Project "${id}" has no setup commands` };
+  if ((await projectStatus(project, { run: runBuiltCommand })).state !== 'cloned') return { error: `${project.path} isn't cloned yet` };
+  return runProjectSteps(event.sender, project, 'setup', setupSteps(project));
+});
+
+// Start a project with its `run` command. It runs until it's stopped with
+// shell:cancelProcess("project-<id>"), like a cancelled install.
+ipcMain.handle('workspace:run', async (event, id) => {
+  const project = findProject(id);
+  if (!project?.run) return { error: `Project "${id}" has no run command` };
+  if ((await projectStatus(project, { run: runBuiltCommand })).state !== 'cloned') return { error: `${project.path} isn't cloned yet` };
+  return runProjectSteps(event.sender, project, 'run', [{ command: project.run, cwd: projectPath(project) }]);
+});
+
+// Open a project's folder in its editor, or in Finder when the editor's
+// command isn't installed
+ipcMain.handle('workspace:open', async (_event, id) => {
+  const project = findProject(id);
+  if (!project) return { error: `Unknown project "${id}"` };
+  const result = await runBuiltCommand(openCommand(project));
+  if (result.succeeded) return {};
+  if (result.blocked) return { error: result.stderr };
+
+  const error = await shell.openPath(projectPath(project));
+  return error ? { error } : { openedFolder: true };
+});
+
+// ─── Config Loading ────────────────────────────────────────────────
+
+// Each loader resolves the config's extends/include chain; every item
+// comes back with the file it was defined in as `origin`.
+//
+// A config needs the user's OK before anything in it runs, unless every
+// file in it is bundled or signed by a trusted publisher. Once approved,
+// it isn't asked about again until one of its files changes.
+
+function keyringPath() {
+  return path.join(app.getPath('userData'), 'trusted-publishers.json');
+}
+
+function approvalsPath() {
+  return path.join(app.getPath('userData'), 'approved-configs.json');
+}
+
+function readApprovals() {
+  try {
+    return JSON.parse(fs.readFileSync(approvalsPath(), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+// A config's commands become runnable once it's trusted, replacing the
+// previous config's. One with a command the deny list blocks doesn't load.
+async function loadTrustedConfig(source) {
+  try {
+    const config = await loadConfigSource(source, { keyring: readKeyring(keyringPath()) });
+    checkConfigPolicy(config, policy);
+    config.needsTrust = needsApproval(config, readApprovals()[source]);
+    if (config.needsTrust) {
+      pendingConfigs.set(config.digest, { source, config });
+    } else {
+      useConfig(source, config);
+    }
+    return config;
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// Load config from a local file
+ipcMain.handle('config:loadFile', async (_event, filePath) => {
+  return loadTrustedConfig(filePath);
+});
+
+// Load config from a URL
+ipcMain.handle('config:loadURL', async (_event, url) => {
+  return loadTrustedConfig(url);
+});
+
+// Load a bundled config by name (defaults to 'builder')
+ipcMain.handle('config:loadBundled', async (_event, name) => {
+  return loadTrustedConfig(`bundled:${name || 'builder'}`);
+});
+
+// Remember that the user reviewed this exact version of a config, and with
+// `trustPublishers`, add its signers to the keyring. The final yes comes
+// from a native dialog, so the renderer can't approve a config on its own.
+// Resolves to whether the user confirmed.
+ipcMain.handle('trust:approveConfig', async (_event, digest, trustPublishers) => {
+  const pending = pendingConfigs.get(digest);
+  if (!pending) return false;
+  const { source, config } = pending;
+
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    buttons: ['Cancel', 'Trust'],
+    defaultId: 0,
+    cancelId: 0,
+    message: `Trust "${config.name}"?`,
+    detail: `onboard.computer will be able to run the commands you just reviewed from ${source}.`,
+  });
+  if (response !== 1) return false;
+
+  pendingConfigs.delete(digest);
+  useConfig(source, config);
+
+  if (trustPublishers) {
+    fs.mkdirSync(path.dirname(keyringPath()), { recursive: true });
+    config.provenance
+      .filter(p => p.status === 'unknown-publisher')
+      .forEach(p => addPublisher(keyringPath(), p.publisher, p.key));
+  }
+
+  const approvals = readApprovals();
+  approvals[source] = digest;
+  fs.mkdirSync(path.dirname(approvalsPath()), { recursive: true });
+  fs.writeFileSync(approvalsPath(), JSON.stringify(approvals, null, 2) + '\n');
+  return true;
+});
+
+
 // Open a file dialog to select a .onboard file
 ipcMain.handle('dialog:openFile', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
@@ -343,6 +765,118 @@ ipcMain.handle('dialog:openFile', async () => {
   return result.filePaths[0];
 });
 
+// Save text to a file the user picks (e.g. an exported install plan)
+ipcMain.handle('dialog:saveFile', async (_event, defaultName, content) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: path.join(os.homedir(), defaultName),
+  });
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+  fs.writeFileSync(result.filePath, content);
+  return result.filePath;
+});
+
+// ─── Config Editor ─────────────────────────────────────────────────
+// The editor opens the loaded config's own file, or starts a new one. It
+// can only write back to that file or to one the user picks in a save
+// dialog, and can only run a command after a native confirmation.
+
+const editorFiles = new Set();
+
+// Text of the loaded config's root file. `path` is null when it can't be
+// written back (bundled or URL configs), so saving asks where to.
+ipcMain.handle('editor:open', async () => {
+  if (!loadedSource) return { path: null, content: '' };
+  try {
+    const { location, content, bundled } = await readSource(loadedSource);
+    const writable = !bundled && !/^https?:\/\//.test(location);
+    if (writable) editorFiles.add(location);
+    return { path: writable ? location : null, name: path.basename(location), content };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('editor:validate', async (_event, content, filePath) => {
+  return checkConfigText(content, filePath);
+});
+
+// Write the editor's text. Resolves to the path written, or null if the
+// user cancelled the save dialog.
+ipcMain.handle('editor:save', async (_event, content, filePath) => {
+  let target = filePath;
+  if (!target || !editorFiles.has(target)) {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: path.join(os.homedir(), 'setup.onboard'),
+      filters: [{ name: 'Onboard Config', extensions: ['onboard'] }],
+    });
+    if (result.canceled || !result.filePath) return null;
+    target = result.filePath;
+    editorFiles.add(target);
+  }
+  fs.writeFileSync(target, content);
+  return target;
+});
+
+// Let the editor try a command that isn't in an approved config yet, until
+// another config is loaded. Resolves to whether the user allowed it; deny
+// patterns still apply.
+ipcMain.handle('editor:allowCommand', async (_event, command) => {
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    buttons: ['Cancel', 'Run'],
+    defaultId: 0,
+    cancelId: 0,
+    message: 'Run this command?',
+    detail: command,
+  });
+  if (response !== 1) return false;
+  editorCommands.add(command);
+  return true;
+});
+
+// "Export my setup": describe what's installed here as a new config and
+// save it where the user picks. Resolves to { path, name, content } for
+// the editor, or null if they cancelled.
+ipcMain.handle('editor:exportMachine', async () => {
+  try {
+    const content = machineConfigYaml(await scanMachine());
+    const result = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: path.join(os.homedir(), 'my-setup.onboard'),
+      filters: [{ name: 'Onboard Config', extensions: ['onboard'] }],
+    });
+    if (result.canceled || !result.filePath) return null;
+    fs.writeFileSync(result.filePath, content);
+    editorFiles.add(result.filePath);
+    return { path: result.filePath, name: path.basename(result.filePath), content };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+// "Scan a repo": let the user pick a project folder and propose items for
+// it. Resolves to { dir, name, proposals }, or null if they cancelled.
+ipcMain.handle('editor:scanProject', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory'],
+    message: 'Choose a project folder to scan',
+  });
+  if (result.canceled || result.filePaths.length === 0) return null;
+  try {
+    const dir = result.filePaths[0];
+    return { dir, ...scanProject(dir) };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+// Icons bundled with the app, for icon_img
+ipcMain.handle('editor:icons', async () => {
+  return fs.readdirSync(path.join(__dirname, 'assets'))
+    .filter(name => /\.(png|svg)$/.test(name) && !/^(icon|document)\./.test(name));
+});
+
 // ─── Terminal Pop-out Windows ───────────────────────────────────────
 
 ipcMain.handle('terminal:openWindow', async (_event, id, name, existingOutput) => {
@@ -386,6 +920,15 @@ ipcMain.handle('terminal:openWindow', async (_event, id, name, existingOutput) =
   return true;
 });
 
+// Keystrokes typed in a pop-out window go to the process it shows
+ipcMain.handle('terminal:input', async (event, data) => {
+  for (const [id, terminalWindow] of terminalWindows) {
+    if (terminalWindow.webContents === event.sender) {
+      activeProcesses.get(id)?.proc.write(data);
+    }
+  }
+});
+
 ipcMain.handle('terminal:sendOutput', async (_event, id, data, stream) => {
   const terminalWindow = terminalWindows.get(id);
   if (terminalWindow && !terminalWindow.isDestroyed()) {
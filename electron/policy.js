@@ -0,0 +1,100 @@
+// policy.js — Which shell commands the app is willing to run.
+// The renderer asks the main process to run commands by string. Rather
+// than trust those strings, main only runs a command if it appears
+// verbatim in the config the user loaded and approved, or if it's one of
+// the built-in helpers below, built here from a validated argument.
+//
+// On top of that, an administrator can block commands outright with deny
+// patterns in a policy file, which apply even to approved configs:
+//
+//   { "deny": ["rm\\s+-rf\\s+/(\\s|$)", "\\bsudo\\b"] }
+//
+// Patterns are regular expressions, matched case-insensitively anywhere
+// in the command.
+
+const fs = require('fs');
+const { configItems, itemCommands, projectCommands } = require('./graph');
+const { accountCommands } = require('./accounts');
+
+// Admin-owned locations, checked in order; the first that exists wins
+const POLICY_PATHS = [
+  '/Library/Application Support/onboard.computer/policy.json',
+  '/etc/onboard.computer/policy.json',
+];
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Commands the app runs on its own, keyed by name. Each takes one argument.
+const HELPERS = {
+  // Version of a CLI named after an item id, for items without a version command
+  versionFlag: (id) => `${shellQuote(id)} --version 2>/dev/null | head -1`,
+  // Version of a macOS app bundle
+  bundleVersion: (appPath) => `defaults read ${shellQuote(`${appPath}/Contents/Info`)} CFBundleShortVersionString 2>/dev/null`,
+};
+
+// Load the admin deny list. `file` overrides the standard locations.
+function readPolicy(file) {
+  const policyPath = file || POLICY_PATHS.find(p => fs.existsSync(p));
+  if (!policyPath) return { deny: [] };
+
+  let policy;
+  try {
+    policy = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read policy ${policyPath}: ${err.message}`);
+  }
+  return {
+    deny: (policy.deny || []).map(pattern => ({ pattern, regex: new RegExp(pattern, 'i') })),
+  };
+}
+
+// All commands a config may run
+function configCommands(config) {
+  const commands = new Set();
+  configItems(config).forEach(item => {
+    itemCommands(item).forEach(([_field, command]) => commands.add(command));
+  });
+  (config.workspace || []).forEach(project => {
+    projectCommands(project).forEach(([_field, command]) => commands.add(command));
+  });
+  (config.accounts || []).forEach(account => {
+    accountCommands(account).forEach(([_field, command]) => commands.add(command));
+  });
+  return commands;
+}
+
+// The deny pattern a command matches, or null
+function deniedBy(command, policy) {
+  return policy.deny.find(({ regex }) => regex.test(command))?.pattern || null;
+}
+
+// Refuse a config with any command the deny list blocks, before anything
+// in it runs. That includes the profile lines and PATH folders of its
+// post_install steps, which every new shell runs.
+function checkConfigPolicy(config, policy) {
+  const sections = [
+    ['Item', configItems(config), itemCommands],
+    ['Project', config.workspace || [], projectCommands],
+    ['Account', config.accounts || [], accountCommands],
+  ];
+  sections.forEach(([label, entries, commandsOf]) => entries.forEach(entry => {
+    commandsOf(entry).forEach(([field, command]) => {
+      const pattern = deniedBy(command, policy);
+      if (pattern) throw new Error(`${label} "${entry.id}" field "${field}" is blocked by policy: matches "${pattern}"`);
+    });
+  }));
+}
+
+// Decide whether `command` may run. Returns null if it may, otherwise the
+// reason it was blocked.
+function checkCommand(command, { allowed, policy }) {
+  if (!allowed.has(command)) {
+    return 'Blocked: not a command from the loaded config';
+  }
+  const pattern = deniedBy(command, policy);
+  return pattern ? `Blocked by policy: matches "${pattern}"` : null;
+}
+
+module.exports = { HELPERS, shellQuote, readPolicy, configCommands, deniedBy, checkConfigPolicy, checkCommand };
@@ -0,0 +1,193 @@
+// postinstall.js — What happens after an item installs, shared by the main
+// process and the CLI. An item's post_install steps run in order:
+//
+//   post_install:
+//     - profile: eval "$(/opt/homebrew/bin/brew shellenv)"   # line for the shell profile
+//     - path: ~/.local/bin                                   # folder to put on PATH
+//     - run: brew services start postgresql@16               # command
+//     - verify: brew --version                               # must succeed
+//
+// Profile lines and PATH folders go in one marked block in the user's shell
+// profile, grouped by item id, so installing again replaces an item's lines
+// instead of adding them twice, uninstalling removes them, and the whole
+// block can be removed without touching anything else in the file:
+//
+//   # >>> onboard.computer >>>
+//   # [homebrew]
+//   eval "$(/opt/homebrew/bin/brew shellenv)"
+//   # <<< onboard.computer <<<
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { loginShell } = require('./shell');
+
+const BLOCK_START = '# >>> onboard.computer >>>';
+const BLOCK_END = '# <<< onboard.computer <<<';
+const BLOCK_NOTE = '# Managed by onboard.computer; edits here are replaced on the next install.';
+
+// The file a login shell of the user's kind reads at startup
+function profilePath(shell = loginShell()) {
+  const home = os.homedir();
+  const name = path.basename(shell);
+  if (name === 'zsh') return path.join(home, '.zprofile');
+  if (name === 'bash') return path.join(home, process.platform === 'darwin' ? '.bash_profile' : '.bashrc');
+  if (name === 'fish') return path.join(home, '.config', 'fish', 'conf.d', 'onboard.fish');
+  return path.join(home, '.profile');
+}
+
+function isFish(file) {
+  return file.endsWith('.fish');
+}
+
+// The profile lines one step adds. Fish can't run the POSIX lines `profile`
+// steps hold, so those are left out there; PATH folders work everywhere.
+function stepLines(step, file) {
+  if (step.path !== undefined) {
+    const dir = String(step.path).replace(/^~(?=\/|$)/, '$HOME');
+    return [isFish(file) ? `fish_add_path --path "${dir}"` : `export PATH="${dir}:$PATH"`];
+  }
+  if (step.profile !== undefined) {
+    return isFish(file) ? [] : String(step.profile).split('\n');
+  }
+  return [];
+}
+
+// ─── Managed Block ─────────────────────────────────────────────────
+
+// Split a profile into the text around the block and the block's entries,
+// as a Map of item id → lines
+function readBlock(file) {
+  let text = '';
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch {
+    // No profile yet
+  }
+
+  const lines = text.split('\n');
+  const start = lines.indexOf(BLOCK_START);
+  const end = lines.indexOf(BLOCK_END, start);
+  if (start === -1 || end === -1) return { before: text, after: '', entries: new Map() };
+
+  const entries = new Map();
+  let current = null;
+  lines.slice(start + 1, end).forEach(line => {
+    if (line === BLOCK_NOTE) return;
+    const heading = line.match(/^# \[(.+)\]$/);
+    if (heading) {
+      current = heading[1];
+      entries.set(current, []);
+    } else if (current) {
+      entries.get(current).push(line);
+    }
+  });
+  return {
+    before: lines.slice(0, start).join('\n'),
+    after: lines.slice(end + 1).join('\n'),
+    entries,
+  };
+}
+
+function writeBlock(file, { before, after, entries }) {
+  let text = before.replace(/\n*$/, '');
+  if (entries.size > 0) {
+    const body = [...entries].flatMap(([id, lines]) => [`# [${id}]`, ...lines]);
+    text += `${text ? '\n\n' : ''}${[BLOCK_START, BLOCK_NOTE, ...body, BLOCK_END].join('\n')}`;
+  }
+  text += after.replace(/^\n*/, text && after.trim() ? '\n\n' : '');
+  text = text.trim() ? text.replace(/\n*$/, '\n') : '';
+
+  if (!text && isFish(file)) {
+    fs.rmSync(file, { force: true });
+    return;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text);
+}
+
+// Replace an item's lines in the block (no lines removes its entry)
+function setProfileEntry(id, lines, file = profilePath()) {
+  const block = readBlock(file);
+  const existing = block.entries.get(id);
+  if (lines.length === 0 && !existing) return;
+  if (existing && existing.join('\n') === lines.join('\n')) return;
+
+  if (lines.length > 0) block.entries.set(id, lines);
+  else block.entries.delete(id);
+  writeBlock(file, block);
+}
+
+function removeProfileEntry(id, file = profilePath()) {
+  setProfileEntry(id, [], file);
+}
+
+// What the block holds: { file, entries: [{ id, lines }] }
+function readProfileEntries(file = profilePath()) {
+  const { entries } = readBlock(file);
+  return { file, entries: [...entries].map(([id, lines]) => ({ id, lines })) };
+}
+
+// Take the whole block out of the profile
+function removeProfileBlock(file = profilePath()) {
+  const block = readBlock(file);
+  if (block.entries.size === 0) return;
+  writeBlock(file, { ...block, entries: new Map() });
+}
+
+// ─── Running Steps ─────────────────────────────────────────────────
+
+// Run an item's post_install steps in order. `run(command)` runs a `run`
+// step where its output can be seen and resolves to a shell result;
+// `check(command)` runs a `verify` step; `refresh()` captures the login
+// environment again, which happens before any command that follows a
+// profile change. `write(text)` reports progress. Resolves to
+// { succeeded, stderr } with the first failure.
+async function runPostInstall(item, { run, check, refresh, write }) {
+  const file = profilePath();
+  const lines = [];
+  let profileChanged = false;
+
+  for (const step of item.post_install || []) {
+    if (step.profile !== undefined || step.path !== undefined) {
+      lines.push(...stepLines(step, file));
+      setProfileEntry(item.id, lines, file);
+      profileChanged = true;
+      write(`Added to ${file.replace(os.homedir(), '~')}: ${step.path ?? step.profile}\n`);
+      continue;
+    }
+
+    if (profileChanged) {
+      await refresh();
+      profileChanged = false;
+    }
+
+    if (step.run !== undefined) {
+      write(`$ ${step.run}\n`);
+      const result = await run(String(step.run));
+      if (!result.succeeded) {
+        return { succeeded: false, exitCode: result.exitCode, stderr: `post_install step failed: ${step.run}\n${result.stderr}` };
+      }
+    } else if (step.verify !== undefined) {
+      const result = await check(String(step.verify));
+      write(`${result.succeeded ? '✓' : '✗'} ${step.verify}\n`);
+      if (!result.succeeded) {
+        return { succeeded: false, exitCode: result.exitCode, stderr: `post_install check failed: ${step.verify}\n${result.stderr}` };
+      }
+    }
+  }
+
+  // An item whose config no longer adds profile lines loses its old ones
+  if (lines.length === 0) setProfileEntry(item.id, [], file);
+
+  if (profileChanged) await refresh();
+  return { succeeded: true };
+}
+
+module.exports = {
+  profilePath,
+  readProfileEntries,
+  removeProfileEntry,
+  removeProfileBlock,
+  runPostInstall,
+};
@@ -22,6 +22,12 @@ ipcRenderer.on('config:fileOpened', (_event, filePath) => {
   if (fileOpenedCallback) fileOpenedCallback(filePath);
 });
 
+// Track sudo password prompt callbacks
+let passwordPromptCallback = null;
+ipcRenderer.on('shell:passwordPrompt', (_event, id) => {
+  if (passwordPromptCallback) passwordPromptCallback(id);
+});
+
 // Track terminal window close callbacks
 let terminalWindowClosedCallback = null;
 ipcRenderer.on('terminal:windowClosed', (_event, id) => {
@@ -73,10 +79,14 @@ contextBridge.exposeInMainWorld('updaterAPI', {
 });
 
 contextBridge.exposeInMainWorld('onboard', {
-  // Run a shell command and get back { stdout, stderr, exitCode, succeeded }.
+  // Run a command from the loaded config and get back { stdout, stderr, exitCode, succeeded }.
+  // Anything else comes back blocked (see policy.js).
   run: (command) => ipcRenderer.invoke('shell:run', command),
 
-  // Open a URL in the default browser.
+  // Run a built-in helper command by name with one argument.
+  runHelper: (name, arg) => ipcRenderer.invoke('shell:runHelper', name, arg),
+
+  // Open an https: URL in the default browser. Resolves to whether it did.
   openExternal: (url) => ipcRenderer.invoke('shell:openExternal', url),
 
   // Get the user's home directory.
@@ -86,16 +96,33 @@ contextBridge.exposeInMainWorld('onboard', {
   runStreaming: (command) => ipcRenderer.invoke('shell:runStreaming', command),
 
   // Run a command with streaming output and process ID for cancellation.
-  runStreamingWithId: (command, id) => ipcRenderer.invoke('shell:runStreamingWithId', command, id),
+  // Pass record ({ action, item, name }) to save the run to the install history.
+  runStreamingWithId: (command, id, record) => ipcRenderer.invoke('shell:runStreamingWithId', command, id, record),
 
   // Cancel a running process by ID.
   cancelProcess: (id) => ipcRenderer.invoke('shell:cancelProcess', id),
 
-  // Open a path (app, file, or folder) with the default handler.
-  openPath: (path) => ipcRenderer.invoke('shell:openPath', path),
+  // Send keystrokes to a running process.
+  writeInput: (id, data) => ipcRenderer.invoke('shell:writeInput', id, data),
+
+  // Set the callback for when a running process asks for the sudo password.
+  onPasswordPrompt: (callback) => {
+    passwordPromptCallback = callback;
+  },
+
+  // Answer a password prompt; null cancels it. The password is reused by
+  // the rest of the batch.
+  providePassword: (id, password) => ipcRenderer.invoke('shell:providePassword', id, password),
+
+  // Group the runs started until endBatch(), so sudo asks once for all of them.
+  beginBatch: () => ipcRenderer.invoke('shell:beginBatch'),
+  endBatch: () => ipcRenderer.invoke('shell:endBatch'),
+
+  // Open an app of the loaded config, by id.
+  openApp: (id) => ipcRenderer.invoke('shell:openApp', id),
 
-  // Reveal a file/folder in Finder.
-  showInFolder: (path) => ipcRenderer.invoke('shell:showInFolder', path),
+  // Reveal an app of the loaded config in Finder, by id.
+  revealApp: (id) => ipcRenderer.invoke('shell:revealApp', id),
 
   // Set the callback that receives streaming output chunks.
   setStreamCallback: (callback) => {
@@ -107,6 +134,67 @@ contextBridge.exposeInMainWorld('onboard', {
     currentStreamCallback = null;
   },
 
+  // ─── Install History ───────────────────────────────────────────────
+
+  // List recorded installs, upgrades and uninstalls, most recent first.
+  getHistory: (query) => ipcRenderer.invoke('history:list', query),
+
+  // Get the full output of one recorded run.
+  getHistoryOutput: (id) => ipcRenderer.invoke('history:output', id),
+
+  // Open the folder the history is stored in.
+  showHistoryFolder: () => ipcRenderer.invoke('history:showFolder'),
+
+  // ─── Shell Profile ─────────────────────────────────────────────────
+
+  // The lines post_install steps added to the shell profile, by item.
+  readShellProfile: () => ipcRenderer.invoke('profile:read'),
+
+  // Remove those lines from the profile.
+  removeShellProfileBlock: () => ipcRenderer.invoke('profile:removeBlock'),
+
+  // ─── Files ─────────────────────────────────────────────────────────
+
+  // Whether each file of the loaded config matches what it describes.
+  fileStatus: () => ipcRenderer.invoke('files:status'),
+
+  // Write or link one file, backing up what was there.
+  applyFile: (id) => ipcRenderer.invoke('files:apply', id),
+
+  // The config's variables and the values entered for them.
+  getFileVariables: () => ipcRenderer.invoke('files:variables'),
+
+  // Remember values for the config's variables.
+  saveFileVariables: (values) => ipcRenderer.invoke('files:saveVariables', values),
+
+  // ─── Settings ──────────────────────────────────────────────────────
+
+  // Whether each setting of the loaded config is applied.
+  settingsStatus: () => ipcRenderer.invoke('settings:status'),
+
+  // Apply every setting as one batch: { changed, failed, output }.
+  applySettings: () => ipcRenderer.invoke('settings:apply'),
+
+  // Put back what the settings replaced: { reverted, failed, output }.
+  revertSettings: () => ipcRenderer.invoke('settings:revert'),
+
+  // ─── Workspace ─────────────────────────────────────────────────────
+
+  // Whether each project of the loaded config is cloned.
+  workspaceStatus: () => ipcRenderer.invoke('workspace:status'),
+
+  // Clone a project and run its setup, streaming output as "project-<id>".
+  cloneProject: (id) => ipcRenderer.invoke('workspace:clone', id),
+
+  // Run a cloned project's setup commands again.
+  setupProject: (id) => ipcRenderer.invoke('workspace:setup', id),
+
+  // Start a project; stop it with cancelProcess('project-<id>').
+  runProject: (id) => ipcRenderer.invoke('workspace:run', id),
+
+  // Open a project's folder in its editor (or Finder, without one).
+  openProject: (id) => ipcRenderer.invoke('workspace:open', id),
+
   // ─── Config Loading ────────────────────────────────────────────────
 
   // Load config from a local file path.
@@ -118,6 +206,10 @@ contextBridge.exposeInMainWorld('onboard', {
   // Load a bundled config by name (defaults to 'default').
   loadBundledConfig: (name) => ipcRenderer.invoke('config:loadBundled', name),
 
+  // Confirm (in a native dialog) that the user trusts this version of a config,
+  // and optionally its signers from now on. Resolves to true if they did.
+  approveConfig: (digest, trustPublishers) => ipcRenderer.invoke('trust:approveConfig', digest, trustPublishers),
+
   // Set callback for when a .onboard file is opened (double-click).
   onFileOpened: (callback) => {
     fileOpenedCallback = callback;
@@ -129,6 +221,34 @@ contextBridge.exposeInMainWorld('onboard', {
   // Open a file dialog to select a .onboard file.
   openFileDialog: () => ipcRenderer.invoke('dialog:openFile'),
 
+  // Save text to a file chosen in a save dialog. Resolves to the path, or null if cancelled.
+  saveFileDialog: (defaultName, content) => ipcRenderer.invoke('dialog:saveFile', defaultName, content),
+
+  // ─── Config Editor ─────────────────────────────────────────────────
+
+  // Text of the loaded config's file: { path, name, content }. path is null if it can't be saved back.
+  openEditorFile: () => ipcRenderer.invoke('editor:open'),
+
+  // Check config text: { error, line } for the first problem, or { items }.
+  validateConfigText: (content, filePath) => ipcRenderer.invoke('editor:validate', content, filePath),
+
+  // Save editor text to filePath (or a path picked in a dialog). Resolves to the path, or null if cancelled.
+  saveEditorFile: (content, filePath) => ipcRenderer.invoke('editor:save', content, filePath),
+
+  // Ask (in a native dialog) to run a command from the editor with run(). Resolves to true if allowed.
+  allowEditorCommand: (command) => ipcRenderer.invoke('editor:allowCommand', command),
+
+  // Scan installed packages and apps into a new config saved where the user picks.
+  // Resolves to { path, name, content }, or null if cancelled.
+  exportMachineConfig: () => ipcRenderer.invoke('editor:exportMachine'),
+
+  // Pick a project folder and propose items from its files: { dir, name, proposals },
+  // each proposal { item, reasons, constraint }. Resolves to null if cancelled.
+  scanProject: () => ipcRenderer.invoke('editor:scanProject'),
+
+  // File names of the icons bundled in assets/.
+  getBundledIcons: () => ipcRenderer.invoke('editor:icons'),
+
   // Terminal window functions
   openTerminalWindow: (id, name, existingOutput) => ipcRenderer.invoke('terminal:openWindow', id, name, existingOutput),
   sendToTerminalWindow: (id, data, stream) => ipcRenderer.invoke('terminal:sendOutput', id, data, stream),
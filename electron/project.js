@@ -0,0 +1,231 @@
+// project.js — Propose config items from a project folder ("Scan a repo").
+// Reads the files that say what a project needs — package.json and its
+// lockfiles, pyproject.toml, Cargo.toml, go.mod, Dockerfile, .tool-versions,
+// .nvmrc — and maps them to items, using the same table as the
+// onboard-computer skill (website/skill.md). Everything is local; nothing
+// is fetched or run.
+
+const path = require('path');
+const fs = require('fs');
+const { parseRange } = require('./semver');
+
+// Items the scanner can propose, by id
+const TOOLS = {
+  'xcode-cli': {
+    name: 'Xcode CLI Tools', icon: '🔨', icon_bg: '#1c7ed6', desc: "Apple's command line developer tools.",
+    check: 'xcode-select -p', install: 'xcode-select --install',
+  },
+  homebrew: {
+    name: 'Homebrew', icon_img: 'homebrew.svg', icon_bg: '#fbb040', desc: 'The package manager for macOS.',
+    check: 'which brew',
+    install: '/bin/bash -c "$(curl -fsSL https://raw.githubusercontent.com/Homebrew/install/HEAD/install.sh)"',
+    depends_on: 'xcode-cli',
+  },
+  git: {
+    name: 'Git', icon_img: 'git.png', icon_bg: '#f0f0f0', desc: 'Version control.',
+    check: 'which git', install: 'brew install git', depends_on: 'homebrew',
+  },
+  node: {
+    name: 'Node.js', icon_img: 'nodejs.svg', icon_bg: '#333', desc: 'JavaScript runtime.',
+    check: 'which node', install: 'brew install node', depends_on: 'homebrew',
+  },
+  yarn: {
+    name: 'Yarn', icon: '📦', icon_bg: '#2C8EBB', desc: 'JavaScript package manager.',
+    check: 'which yarn', install: 'brew install yarn', depends_on: 'homebrew',
+  },
+  pnpm: {
+    name: 'pnpm', icon: '📦', icon_bg: '#F69220', desc: 'JavaScript package manager.',
+    check: 'which pnpm', install: 'brew install pnpm', depends_on: 'homebrew',
+  },
+  bun: {
+    name: 'Bun', icon_img: 'bun.svg', icon_bg: '#fbf0df', desc: 'JavaScript runtime and package manager.',
+    check: 'which bun', install: 'brew install oven-sh/bun/bun', depends_on: 'homebrew',
+  },
+  python: {
+    name: 'Python 3', icon_img: 'python.svg', icon_bg: '#306998', desc: 'Python interpreter.',
+    check: 'which python3', install: 'brew install python', depends_on: 'homebrew',
+  },
+  poetry: {
+    name: 'Poetry', icon: '📦', icon_bg: '#60A5FA', desc: 'Python dependency manager.',
+    check: 'which poetry', install: 'brew install poetry', depends_on: 'homebrew',
+  },
+  uv: {
+    name: 'uv', icon: '🐍', icon_bg: '#261230', desc: 'Python package and project manager.',
+    check: 'which uv', install: 'brew install uv', depends_on: 'homebrew',
+  },
+  rust: {
+    name: 'Rust', icon: '🦀', icon_bg: '#CE422B', desc: 'Rust toolchain, via rustup.',
+    check: 'which rustc', install: "curl --proto '=https' --tlsv1.2 -sSf https://sh.rustup.rs | sh -s -- -y",
+  },
+  go: {
+    name: 'Go', icon: '🔵', icon_bg: '#00ADD8', desc: 'Go toolchain.',
+    check: 'which go', install: 'brew install go', depends_on: 'homebrew',
+  },
+  ruby: {
+    name: 'Ruby', icon: '💎', icon_bg: '#CC342D', desc: 'Ruby interpreter.',
+    check: 'which ruby', install: 'brew install ruby', depends_on: 'homebrew',
+  },
+  java: {
+    name: 'Java', icon: '☕', icon_bg: '#ED8B00', desc: 'Java runtime and compiler.',
+    check: 'which java', install: 'brew install openjdk', depends_on: 'homebrew',
+  },
+  elixir: {
+    name: 'Elixir', icon: '💧', icon_bg: '#6E4A7E', desc: 'Elixir language.',
+    check: 'which elixir', install: 'brew install elixir', depends_on: 'homebrew',
+  },
+  terraform: {
+    name: 'Terraform', icon: '🏗', icon_bg: '#7B42BC', desc: 'Infrastructure as code.',
+    check: 'which terraform', install: 'brew install terraform', depends_on: 'homebrew',
+  },
+  docker: {
+    name: 'Docker', icon: '🐳', icon_bg: '#2496ED', desc: 'Runs the containers this project builds.',
+    check: 'which docker', install: 'brew install --cask docker', depends_on: 'homebrew',
+  },
+};
+
+// .tool-versions plugin names (asdf, mise) that differ from our ids
+const TOOL_VERSIONS_NAMES = {
+  nodejs: 'node',
+  golang: 'go',
+};
+
+// Package managers a lockfile implies
+const LOCKFILES = {
+  'yarn.lock': 'yarn',
+  'pnpm-lock.yaml': 'pnpm',
+  'bun.lockb': 'bun',
+  'bun.lock': 'bun',
+  'poetry.lock': 'poetry',
+  'uv.lock': 'uv',
+};
+
+function readFile(dir, name) {
+  try {
+    return fs.readFileSync(path.join(dir, name), 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+// Value of `key = "..."` in a TOML file, optionally only inside [section]
+function tomlString(content, key, section) {
+  let text = content;
+  if (section) {
+    const start = content.search(new RegExp(`^\\[${section.replace(/\./g, '\\.')}\\]\\s*$`, 'm'));
+    if (start === -1) return null;
+    const rest = content.slice(start).split('\n').slice(1).join('\n');
+    const end = rest.search(/^\[/m);
+    text = end === -1 ? rest : rest.slice(0, end);
+  }
+  const match = text.match(new RegExp(`^${key}\\s*=\\s*["']([^"']+)["']`, 'm'));
+  return match ? match[1] : null;
+}
+
+// Exact versions (20.11.0, v20) stay as they are; "lts/*" and other
+// aliases can't be expressed as a constraint.
+function cleanVersion(version) {
+  const trimmed = version.trim().replace(/^v(?=\d)/, '');
+  return /^\d/.test(trimmed) ? trimmed : null;
+}
+
+// A constraint as a `version` range (see semver.js). Python writes
+// ">=3.10,<4" and "~=3.10"; anything else that doesn't parse is dropped.
+function toRange(constraint) {
+  const range = constraint.replace(/\s*,\s*/g, ' ').replace(/~=\s*/g, '^').trim();
+  try {
+    parseRange(range);
+    return range;
+  } catch {
+    return null;
+  }
+}
+
+// Look through `dir` and return { name, proposals }, where each proposal
+// is { item, reasons, constraint }: the item to add, the files that call
+// for it, and the version the project asks for, if any.
+function scanProject(dir) {
+  const proposals = new Map();
+
+  // The first constraint found wins, so pinned versions are read first
+  const propose = (id, reason, constraint = null) => {
+    if (!proposals.has(id)) {
+      proposals.set(id, { item: { id, ...TOOLS[id] }, reasons: [], constraint: null });
+    }
+    const proposal = proposals.get(id);
+    if (!proposal.reasons.includes(reason)) proposal.reasons.push(reason);
+    if (constraint && !proposal.constraint) proposal.constraint = toRange(constraint);
+  };
+
+  const toolVersions = readFile(dir, '.tool-versions');
+  if (toolVersions) {
+    toolVersions.split('\n').forEach(line => {
+      const [plugin, version] = line.replace(/#.*/, '').trim().split(/\s+/);
+      const id = TOOL_VERSIONS_NAMES[plugin] || plugin;
+      if (TOOLS[id] && version) propose(id, '.tool-versions', cleanVersion(version));
+    });
+  }
+
+  const nvmrc = readFile(dir, '.nvmrc');
+  if (nvmrc !== null) propose('node', '.nvmrc', cleanVersion(nvmrc));
+
+  const packageJson = readFile(dir, 'package.json');
+  let projectName = null;
+  if (packageJson !== null) {
+    let pkg = {};
+    try {
+      pkg = JSON.parse(packageJson);
+    } catch {
+      // Still a Node project, just one we can't read constraints from
+    }
+    projectName = pkg.name || null;
+    propose('node', 'package.json', pkg.engines?.node || null);
+
+    // "packageManager": "pnpm@8.6.0+sha256..."
+    const [manager, version] = (pkg.packageManager || '').split('@');
+    if (TOOLS[manager] && manager !== 'node') {
+      propose(manager, 'package.json packageManager', version ? version.split('+')[0] : null);
+    }
+  }
+
+  Object.entries(LOCKFILES).forEach(([file, id]) => {
+    if (fs.existsSync(path.join(dir, file))) propose(id, file);
+  });
+
+  const pyproject = readFile(dir, 'pyproject.toml');
+  if (pyproject !== null) {
+    propose('python', 'pyproject.toml',
+      tomlString(pyproject, 'requires-python', 'project') || tomlString(pyproject, 'python', 'tool.poetry.dependencies'));
+    if (/^\[tool\.poetry\]/m.test(pyproject)) propose('poetry', 'pyproject.toml');
+    if (/^\[tool\.uv\]/m.test(pyproject)) propose('uv', 'pyproject.toml');
+  }
+
+  const cargo = readFile(dir, 'Cargo.toml');
+  if (cargo !== null) {
+    const rustVersion = tomlString(cargo, 'rust-version', 'package');
+    propose('rust', 'Cargo.toml', rustVersion ? `>=${rustVersion}` : null);
+  }
+
+  const goMod = readFile(dir, 'go.mod');
+  if (goMod !== null) {
+    const goVersion = goMod.match(/^go\s+(\S+)/m);
+    propose('go', 'go.mod', goVersion ? `>=${goVersion[1]}` : null);
+  }
+
+  ['Dockerfile', 'docker-compose.yml', 'docker-compose.yaml', 'compose.yaml', 'compose.yml'].forEach(file => {
+    if (fs.existsSync(path.join(dir, file))) propose('docker', file);
+  });
+
+  // Everything installed with Homebrew needs the foundation chain
+  if (proposals.size > 0) {
+    const detected = [...proposals.values()];
+    proposals.clear();
+    propose('xcode-cli', 'foundation');
+    propose('homebrew', 'foundation');
+    propose('git', 'foundation');
+    detected.forEach(proposal => proposals.set(proposal.item.id, proposal));
+  }
+
+  return { name: projectName || path.basename(dir), proposals: [...proposals.values()] };
+}
+
+module.exports = { scanProject };
@@ -0,0 +1,290 @@
+// providers.js — Package-manager shorthand for config items.
+// An item can name its package instead of spelling out shell commands:
+//
+//   - id: node
+//     name: Node.js
+//     brew: node
+//
+// expandProviders() fills in check, install, version_command, latest_version,
+// upgrade, uninstall and lock from the provider. Anything the item sets
+// itself wins. Items with a hand-written `brew install <pkg>` get the
+// same lifecycle commands, inferred from their install line.
+//
+// Runtime version managers (mise, asdf, nvm, pyenv, rbenv) take a version
+// instead of a package, install it and select it as the user's default:
+//
+//   - id: node
+//     name: Node.js
+//     mise: node@20      # or nvm: 20, or nvm: .nvmrc
+//
+// They also fill in `version` (the range) and `fix` (select it again).
+
+const path = require('path');
+const fs = require('fs');
+const { COMMAND_FIELDS } = require('./graph');
+const { parseRange } = require('./semver');
+
+// nvm is a shell function, so each command loads it first
+const NVM = '. "${NVM_DIR:-$HOME/.nvm}/nvm.sh" &&';
+
+// mise and asdf specs are tool@version
+function toolOf(spec) {
+  return spec.split('@')[0];
+}
+
+function versionOf(spec) {
+  return spec.includes('@') ? spec.slice(spec.indexOf('@') + 1) : spec;
+}
+
+// mise resolves a bare tool name to the selected or newest version
+function miseSpec(spec) {
+  return versionOf(spec) === 'latest' ? toolOf(spec) : spec;
+}
+
+// A version as a range, for the item's `version`; aliases like "latest"
+// or "lts/iron" aren't ranges and give null
+function rangeOf(version) {
+  try {
+    parseRange(version);
+    return version;
+  } catch {
+    return null;
+  }
+}
+
+// grep -E pattern for released versions starting with `version`:
+// 3.12 matches 3.12.4 but not 3.120 or 3.12.0rc1
+function releasePattern(version) {
+  return `'^${version.replace(/\./g, '\\.')}(\\.[0-9]+)*$'`;
+}
+
+// asdf wants exact versions; anything else resolves to the newest match
+function asdfVersion(spec) {
+  const version = versionOf(spec);
+  if (/^\d+\.\d+\.\d+$/.test(version)) return version;
+  return `"$(asdf latest ${toolOf(spec)}${version === 'latest' ? '' : ` ${version}`})"`;
+}
+
+const rbenvLatest = version => `rbenv install --list-all 2>/dev/null | grep -E ${releasePattern(version)} | sort -V | tail -1`;
+
+// Each provider maps a package name to commands. `latest_version` prints
+// nothing when the installed version is already the newest.
+const PROVIDERS = {
+  brew: {
+    lock: 'homebrew',
+    check: pkg => `brew list --formula --versions ${pkg} >/dev/null 2>&1`,
+    install: pkg => `brew install ${pkg}`,
+    version_command: pkg => `brew list --formula --versions ${pkg} | awk '{print $2}'`,
+    latest_version: pkg => `brew outdated --formula --verbose ${pkg} 2>/dev/null | awk '{print $NF}'`,
+    upgrade: pkg => `brew upgrade ${pkg}`,
+    uninstall: pkg => `brew uninstall ${pkg}`,
+  },
+  cask: {
+    lock: 'homebrew',
+    check: pkg => `brew list --cask --versions ${pkg} >/dev/null 2>&1`,
+    install: pkg => `brew install --cask ${pkg}`,
+    version_command: pkg => `brew list --cask --versions ${pkg} | awk '{print $2}'`,
+    latest_version: pkg => `brew outdated --cask --verbose ${pkg} 2>/dev/null | awk '{print $NF}'`,
+    upgrade: pkg => `brew upgrade --cask ${pkg}`,
+    uninstall: pkg => `brew uninstall --cask ${pkg}`,
+  },
+  npm: {
+    lock: 'npm',
+    check: pkg => `npm ls -g --depth=0 ${pkg} >/dev/null 2>&1`,
+    install: pkg => `npm install -g ${pkg}`,
+    version_command: pkg => `npm ls -g --depth=0 ${pkg} | grep -o '${pkg}@.*' | sed 's/.*@//'`,
+    latest_version: pkg => `npm view ${pkg} version`,
+    upgrade: pkg => `npm install -g ${pkg}@latest`,
+    uninstall: pkg => `npm uninstall -g ${pkg}`,
+  },
+  pipx: {
+    lock: 'pipx',
+    check: pkg => `pipx list --short 2>/dev/null | grep -q '^${pkg} '`,
+    install: pkg => `pipx install ${pkg}`,
+    version_command: pkg => `pipx list --short | awk '$1 == "${pkg}" {print $2}'`,
+    latest_version: pkg => `python3 -m pip index versions ${pkg} 2>/dev/null | head -1`,
+    upgrade: pkg => `pipx upgrade ${pkg}`,
+    uninstall: pkg => `pipx uninstall ${pkg}`,
+  },
+  cargo: {
+    lock: 'cargo',
+    check: pkg => `cargo install --list | grep -q '^${pkg} '`,
+    install: pkg => `cargo install ${pkg}`,
+    version_command: pkg => `cargo install --list | awk '$1 == "${pkg}" {print $2}'`,
+    latest_version: pkg => `cargo search --limit 1 ${pkg} | grep '^${pkg} ='`,
+    upgrade: pkg => `cargo install ${pkg}`,
+    uninstall: pkg => `cargo uninstall ${pkg}`,
+  },
+  mas: {
+    lock: 'mas',
+    check: id => `mas list | awk '{print $1}' | grep -qx ${id}`,
+    install: id => `mas install ${id}`,
+    version_command: id => `mas list | awk '$1 == "${id}"' | sed -E 's/.*\\(([^)]*)\\).*/\\1/'`,
+    latest_version: id => `mas outdated | awk '$1 == "${id}"' | sed -E 's/.*-> ([^)]*)\\).*/\\1/'`,
+    upgrade: id => `mas upgrade ${id}`,
+    uninstall: id => `sudo mas uninstall ${id}`,
+  },
+  apt: {
+    lock: 'apt',
+    check: pkg => `dpkg -s ${pkg} >/dev/null 2>&1`,
+    install: pkg => `sudo apt-get install -y ${pkg}`,
+    version_command: pkg => `dpkg-query -W -f='\${Version}' ${pkg}`,
+    latest_version: pkg => `apt-cache policy ${pkg} | awk '/Candidate:/ {print $2}'`,
+    upgrade: pkg => `sudo apt-get install --only-upgrade -y ${pkg}`,
+    uninstall: pkg => `sudo apt-get remove -y ${pkg}`,
+  },
+  mise: {
+    lock: 'mise',
+    check: spec => `mise where ${miseSpec(spec)} >/dev/null 2>&1`,
+    install: spec => `mise use --global ${spec}`,
+    version_command: spec => `mise current ${toolOf(spec)}`,
+    latest_version: spec => `mise latest ${miseSpec(spec)}`,
+    upgrade: spec => `mise upgrade ${toolOf(spec)}`,
+    uninstall: spec => `mise uninstall ${miseSpec(spec)}`,
+    fix: spec => `mise use --global ${spec}`,
+    range: spec => rangeOf(versionOf(spec)),
+  },
+  asdf: {
+    lock: 'asdf',
+    check: spec => (versionOf(spec) === 'latest'
+      ? `asdf list ${toolOf(spec)} >/dev/null 2>&1`
+      : `asdf list ${toolOf(spec)} ${versionOf(spec)} >/dev/null 2>&1`),
+    install: spec => `(asdf plugin list 2>/dev/null | grep -qx ${toolOf(spec)} || asdf plugin add ${toolOf(spec)}) && asdf install ${toolOf(spec)} ${asdfVersion(spec)} && asdf set --home ${toolOf(spec)} ${asdfVersion(spec)}`,
+    version_command: spec => `asdf current ${toolOf(spec)}`,
+    latest_version: spec => `asdf latest ${toolOf(spec)}${versionOf(spec) === 'latest' ? '' : ` ${versionOf(spec)}`}`,
+    upgrade: spec => `asdf install ${toolOf(spec)} ${asdfVersion(spec)} && asdf set --home ${toolOf(spec)} ${asdfVersion(spec)}`,
+    uninstall: spec => `asdf uninstall ${toolOf(spec)} "$(asdf list ${toolOf(spec)} ${versionOf(spec) === 'latest' ? '' : versionOf(spec)} | tail -1 | tr -d ' *')"`,
+    fix: spec => `asdf install ${toolOf(spec)} ${asdfVersion(spec)} && asdf set --home ${toolOf(spec)} ${asdfVersion(spec)}`,
+    range: spec => rangeOf(versionOf(spec)),
+  },
+  nvm: {
+    lock: 'nvm',
+    check: version => `${NVM} nvm ls ${version} >/dev/null 2>&1`,
+    install: version => `${NVM} nvm install ${version} && nvm alias default ${version}`,
+    version_command: () => `${NVM} nvm version default`,
+    latest_version: version => `${NVM} nvm version-remote ${version}`,
+    upgrade: version => `${NVM} nvm install ${version} && nvm alias default ${version}`,
+    uninstall: version => `${NVM} nvm deactivate >/dev/null && nvm uninstall ${version}`,
+    fix: version => `${NVM} nvm install ${version} && nvm alias default ${version}`,
+    range: rangeOf,
+  },
+  pyenv: {
+    lock: 'pyenv',
+    check: version => `pyenv versions --bare | grep -qE ${releasePattern(version)}`,
+    install: version => `pyenv install --skip-existing ${version} && pyenv global "$(pyenv latest ${version})"`,
+    version_command: () => 'pyenv version-name',
+    latest_version: version => `pyenv latest --known ${version}`,
+    upgrade: version => `pyenv install --skip-existing ${version} && pyenv global "$(pyenv latest ${version})"`,
+    uninstall: version => `pyenv uninstall --force "$(pyenv latest ${version})"`,
+    fix: version => `pyenv install --skip-existing ${version} && pyenv global "$(pyenv latest ${version})"`,
+    range: rangeOf,
+  },
+  rbenv: {
+    lock: 'rbenv',
+    check: version => `rbenv versions --bare | grep -qE ${releasePattern(version)}`,
+    install: version => `v="$(${rbenvLatest(version)})" && rbenv install --skip-existing "$v" && rbenv global "$v"`,
+    version_command: () => 'rbenv version-name',
+    latest_version: rbenvLatest,
+    upgrade: version => `v="$(${rbenvLatest(version)})" && rbenv install --skip-existing "$v" && rbenv global "$v"`,
+    uninstall: version => `rbenv uninstall --force "$(rbenv versions --bare | grep -E ${releasePattern(version)} | sort -V | tail -1)"`,
+    fix: version => `v="$(${rbenvLatest(version)})" && rbenv install --skip-existing "$v" && rbenv global "$v"`,
+    range: rangeOf,
+  },
+};
+
+// Version files a runtime shorthand can name instead of a version. They're
+// read from the folder of the config that defines the item.
+const VERSION_FILES = ['.tool-versions', '.nvmrc', '.node-version', '.python-version', '.ruby-version'];
+
+// .tool-versions names that mean the same tool
+const TOOL_ALIASES = { node: 'nodejs', nodejs: 'node', go: 'golang', golang: 'go' };
+
+// The .tool-versions line each version manager reads
+const MANAGER_TOOLS = { nvm: 'nodejs', pyenv: 'python', rbenv: 'ruby' };
+
+// The version .tool-versions gives `tool`, or undefined
+function toolVersion(content, tool) {
+  const line = (content || '').split('\n')
+    .map(l => l.replace(/#.*/, '').trim().split(/\s+/))
+    .find(([name]) => name === tool || name === TOOL_ALIASES[tool]);
+  return line?.[1];
+}
+
+function readVersionFile(item, file) {
+  const local = item.origin && path.isAbsolute(item.origin);
+  if (!local) {
+    throw new Error(`Item "${item.id}" reads its version from ${file}, which only works in a config saved on this computer`);
+  }
+  try {
+    return fs.readFileSync(path.join(path.dirname(item.origin), file), 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+// The spec a runtime shorthand stands for, with version files read:
+// `nvm: .nvmrc` becomes `nvm: 20.11.0`, and `mise: node` takes its version
+// from .tool-versions (or is the latest, without one).
+function runtimeSpec(item, name, spec) {
+  if (name === 'mise' || name === 'asdf') {
+    if (spec.includes('@')) return spec;
+    const content = item.origin && path.isAbsolute(item.origin) ? readVersionFile(item, '.tool-versions') : null;
+    return `${spec}@${toolVersion(content, spec) || 'latest'}`;
+  }
+
+  if (!spec.startsWith('.')) return spec;
+  if (!VERSION_FILES.includes(spec)) {
+    throw new Error(`Item "${item.id}" field "${name}": ${spec} is not a version file (${VERSION_FILES.join(', ')})`);
+  }
+  const content = readVersionFile(item, spec);
+  const version = spec === '.tool-versions'
+    ? toolVersion(content, MANAGER_TOOLS[name])
+    : (content || '').split('\n').map(l => l.replace(/#.*/, '').trim().split(/\s+/)[0]).find(Boolean);
+  if (!version || !/^[A-Za-z0-9][A-Za-z0-9._/-]*$/.test(version)) {
+    const what = spec === '.tool-versions' ? `no ${MANAGER_TOOLS[name]} version` : 'no version';
+    throw new Error(`Item "${item.id}" field "${name}": ${what} in ${spec} next to ${item.origin}`);
+  }
+  return version.replace(/^v(?=\d)/, '');
+}
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// The provider and package an item installs from: its shorthand key, or an
+// install line starting `brew install [--cask] <pkg>` (optionally followed
+// by `&& ...`). Returns null for anything else.
+function providerOf(item) {
+  const keys = PROVIDER_NAMES.filter(name => item[name] !== undefined);
+  if (keys.length > 1) {
+    throw new Error(`Item "${item.id}" names more than one package manager (${keys.join(', ')})`);
+  }
+  if (keys.length === 1) {
+    return { name: keys[0], pkg: String(item[keys[0]]) };
+  }
+
+  const brewMatch = (item.install || '').match(/^brew install\s+(--cask\s+)?([^\s;&|]+)\s*(&&|$)/);
+  if (brewMatch) {
+    return { name: brewMatch[1] ? 'cask' : 'brew', pkg: brewMatch[2] };
+  }
+  return null;
+}
+
+// Fill in every command the item doesn't set from its provider, in place.
+function expandProviders(items) {
+  items.forEach(item => {
+    const source = providerOf(item);
+    if (!source) return;
+
+    const provider = PROVIDERS[source.name];
+    const pkg = provider.range ? runtimeSpec(item, source.name, source.pkg) : source.pkg;
+    COMMAND_FIELDS.forEach(field => {
+      if (item[field] === undefined && provider[field]) item[field] = provider[field](pkg);
+    });
+    if (item.lock === undefined) item.lock = provider.lock;
+    if (item.version === undefined && provider.range) {
+      const range = provider.range(pkg);
+      if (range) item.version = range;
+    }
+  });
+}
+
+module.exports = { PROVIDER_NAMES, providerOf, expandProviders };
@@ -41,14 +41,19 @@ function hasReleaseNotes(version) {
 // ─── State ─────────────────────────────────────────────────────────
 
 let currentConfig = null;
-let toolStates = {};   // { [id]: { status, installed, installing, version, latestVersion, hasUpdate } }
+let toolStates = {};   // { [id]: { status, installed, installing, version, latestVersion, hasUpdate, wrongVersion } }
 let appStates = {};    // { [id]: { status, installed, installing, processId } }
+let fileStates = {};   // { [id]: { status, state, detail, diff, missing, error, applying, showDiff } }
+let settingStates = {}; // { [id]: { status, state, current, saved, error } }
+let settingsBusy = false; // A batch apply or revert is running
+let projectStates = {}; // { [id]: { status, state, detail, error, busy, setupFailed } }
+let accountStates = {}; // { [id]: { status, signedIn, identity, signingIn } }
 let homeDir = '';
 let activeProcesses = {}; // Track active install processes for cancellation
 
 // Terminal output state
-let terminalOutputs = {};  // { [id]: { lines: [], poppedOut: false, active: false } }
-const MAX_TERMINAL_LINES = 200; // Keep last N lines
+let terminalOutputs = {};  // { [id]: { screen, raw: '', poppedOut: false, active: false } }
+const MAX_TERMINAL_RAW = 2 * 1024 * 1024; // Output kept for replaying into a pop-out
 
 // Update state
 let appVersion = '0.0.0';
@@ -93,10 +98,20 @@ async function loadConfig(source) {
     return false;
   }
 
+  // Unsigned configs and unknown publishers need a look before anything runs
+  if (result.needsTrust && !(await confirmTrust(result))) {
+    setStatus('Config not loaded');
+    return false;
+  }
+
   // Reset state for new config
   currentConfig = result;
   toolStates = {};
   appStates = {};
+  fileStates = {};
+  settingStates = {};
+  projectStates = {};
+  accountStates = {};
 
   (currentConfig.dependencies || []).forEach(d => {
     toolStates[d.id] = { status: 'unchecked', installed: false };
@@ -115,10 +130,18 @@ async function loadConfig(source) {
   updateConfigDisplay();
   renderToolCards();
   renderAppCards();
+  renderFileCards();
+  renderSettingCards();
+  renderProjectCards();
+  renderAccountCards();
   setStatus('Ready (drop .onboard file)');
 
   // Auto-check all tools
   checkAllTools();
+  checkAllFiles();
+  checkAllSettings();
+  checkAllProjects();
+  checkReadyAccounts();
 
   return true;
 }
@@ -137,6 +160,10 @@ function resetConfig() {
   currentConfig = null;
   toolStates = {};
   appStates = {};
+  fileStates = {};
+  settingStates = {};
+  projectStates = {};
+  accountStates = {};
   showEmptyState();
 }
 
@@ -184,25 +211,66 @@ function showEmptyState() {
 // ─── Rendering ─────────────────────────────────────────────────────
 
 function renderIcon(item) {
-  const bg = item.icon_bg || '#30363d';
+  const attr = (text) => escapeHtml(text).replace(/"/g, '&quot;');
+  const bg = attr(item.icon_bg || '#30363d');
+  const icon = escapeHtml(item.icon || '📦');
 
   if (item.icon_img) {
     // Check if it's a URL or bundled filename
     const src = item.icon_img.startsWith('http') ? item.icon_img : `assets/${item.icon_img}`;
+    // initIconFallbacks() swaps in the emoji if the image doesn't load
     return `<div class="tool-icon" style="background: ${bg}; padding: 4px;">
-      <img src="${src}" alt="${item.name}" onerror="this.parentElement.innerHTML='${item.icon || '📦'}'">
+      <img src="${attr(src)}" alt="${attr(item.name || '')}" data-fallback="${icon}">
     </div>`;
   }
 
-  return `<div class="tool-icon" style="background: ${bg};">${item.icon || '📦'}</div>`;
+  return `<div class="tool-icon" style="background: ${bg};">${icon}</div>`;
+}
+
+// A card's terminal, shown once its command has printed something
+function renderInlineTerminal(terminalId) {
+  const output = terminalOutputs[terminalId];
+  const visible = output?.screen.lineCount() > 0 && !output.poppedOut;
+  return `<div class="terminal-inline" id="terminal-${terminalId}" style="display: ${visible ? 'block' : 'none'};"
+        tabindex="0" onkeydown="onTerminalKey(event, '${terminalId}')" onpaste="onTerminalPaste(event, '${terminalId}')">
+        <div class="terminal-header" onclick="toggleTerminalExpand('${terminalId}')">
+          <span class="terminal-last-line"></span>
+          <div class="terminal-actions">
+            <button class="terminal-btn" onclick="event.stopPropagation(); popOutTerminal('${terminalId}')" title="Pop out">
+              <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M18 13v6a2 2 0 01-2 2H5a2 2 0 01-2-2V8a2 2 0 012-2h6"/>
+                <polyline points="15 3 21 3 21 9"/><line x1="10" y1="14" x2="21" y2="3"/>
+              </svg>
+            </button>
+          </div>
+        </div>
+        <div class="terminal-full"></div>
+      </div>`;
+}
+
+// Items inherited through extends/include say which file they came from
+function renderOrigin(item) {
+  const rootSource = currentConfig.sources[currentConfig.sources.length - 1];
+  if (!item.origin || item.origin === rootSource) return '';
+  const label = item.origin.startsWith('bundled:')
+    ? `${item.origin.slice('bundled:'.length)} (built-in)`
+    : item.origin.split('/').pop();
+  const overrides = item.overridden_by ? `, overridden in ${item.overridden_by.join(', ')}` : '';
+  return `<span class="tool-origin" title="${item.origin}${overrides}">from ${label}</span>`;
 }
 
 function renderStatusBadge(state, type = 'app') {
   if (state.status === 'checking') {
     return '<span class="status-badge checking">Checking...</span>';
   }
+  if (state.queued) {
+    return '<span class="status-badge queued">Queued</span>';
+  }
   if (state.installed) {
     if (state.version) {
+      if (state.wrongVersion) {
+        return `<span class="status-badge wrong-version" title="This config needs ${escapeHtml(state.range)}">v${state.version} · needs ${escapeHtml(state.range)}</span>`;
+      }
       if (state.hasUpdate && state.latestVersion) {
         return `<span class="status-badge update-available" title="Update available: ${state.latestVersion}">v${state.version} → v${state.latestVersion}</span>`;
       }
@@ -217,6 +285,9 @@ function renderAction(item, state, type, terminalInfo = null) {
   if (state.status === 'checking') {
     return '<span class="spinner"></span>';
   }
+  if (state.queued) {
+    return '<button class="btn btn-sm" disabled>Queued</button>';
+  }
 
   // Helper to render terminal history button
   const terminalBtn = (terminalId, show) => show ? `<button class="btn btn-sm btn-terminal" id="terminal-history-${terminalId}"
@@ -242,6 +313,7 @@ function renderAction(item, state, type, terminalInfo = null) {
       const showTerminal = terminalInfo && !terminalInfo.isActive && terminalInfo.hasOutput;
       return `<div class="app-actions">
         ${terminalBtn(terminalInfo?.id, showTerminal)}
+        ${fixVersionBtn(item, state, type)}
         <button class="btn btn-sm btn-uninstall" onclick="revealAppInFinder('${item.id}')" title="Show in Finder">
           <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
@@ -273,8 +345,10 @@ function renderAction(item, state, type, terminalInfo = null) {
           <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
         </svg>
       </button>`;
-      // Show upgrade button if update available
-      if (state.hasUpdate && state.latestVersion) {
+      // A wrong version takes the place of the upgrade button
+      if (state.wrongVersion) {
+        actions += fixVersionBtn(item, state, type);
+      } else if (state.hasUpdate && state.latestVersion) {
         actions += `<button class="btn btn-sm btn-upgrade" onclick="upgradeTool('${item.id}')" title="Upgrade to ${state.latestVersion}">
           <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <path d="M12 19V5M5 12l7-7 7 7"/>
@@ -286,12 +360,9 @@ function renderAction(item, state, type, terminalInfo = null) {
     }
   }
 
-  const dependsOn = item.depends_on;
-  if (dependsOn) {
-    const depState = type === 'tool' ? toolStates[dependsOn] : appStates[dependsOn];
-    if (depState && !depState.installed) {
-      return `<button class="btn btn-sm" disabled>Needs ${dependsOn}</button>`;
-    }
+  const unmet = unmetDependencies(item);
+  if (unmet.length > 0) {
+    return `<button class="btn btn-sm" disabled>Needs ${unmet.join(', ')}</button>`;
   }
 
   const onclick = type === 'tool'
@@ -301,6 +372,21 @@ function renderAction(item, state, type, terminalInfo = null) {
   return `<button class="btn btn-primary btn-sm" onclick="${onclick}">Install</button>`;
 }
 
+// The command that brings a wrong version into the item's range: its `fix`,
+// or its upgrade when the newest version is in range.
+function fixVersionCommand(item, state) {
+  if (item.fix) return item.fix;
+  if (item.upgrade && state.latestVersion && satisfies(state.latestVersion, item.version)) return item.upgrade;
+  return null;
+}
+
+function fixVersionBtn(item, state, type) {
+  if (!state.wrongVersion || !fixVersionCommand(item, state)) return '';
+  return `<button class="btn btn-sm btn-upgrade" onclick="fixVersion('${type}', '${item.id}')" title="Install a version in ${escapeHtml(String(item.version))}">
+    Fix version
+  </button>`;
+}
+
 function renderToolCards() {
   const container = document.getElementById('tools-container');
   const tools = currentConfig?.dependencies || [];
@@ -310,9 +396,8 @@ function renderToolCards() {
     const state = toolStates[tool.id] || { status: 'unchecked', installed: false };
     const terminalId = `tool-${tool.id}`;
     const output = terminalOutputs[terminalId];
-    const hasOutput = output?.lines?.length > 0;
+    const hasOutput = output?.screen.lineCount() > 0;
     const isActive = output?.active;
-    const isPoppedOut = output?.poppedOut;
 
     const terminalInfo = { id: terminalId, hasOutput, isActive };
     const card = document.createElement('div');
@@ -323,26 +408,13 @@ function renderToolCards() {
         ${renderIcon(tool)}
         <div class="tool-info">
           <div class="tool-name">${tool.name} ${renderStatusBadge(state, 'tool')}</div>
-          <div class="tool-desc">${tool.desc || ''}</div>
+          <div class="tool-desc">${tool.desc || ''} ${renderOrigin(tool)}</div>
         </div>
         <div class="tool-action">
           ${renderAction(tool, state, 'tool', terminalInfo)}
         </div>
       </div>
-      <div class="terminal-inline" id="terminal-${terminalId}" style="display: ${(hasOutput && !isPoppedOut) ? 'block' : 'none'};">
-        <div class="terminal-header" onclick="toggleTerminalExpand('${terminalId}')">
-          <span class="terminal-last-line"></span>
-          <div class="terminal-actions">
-            <button class="terminal-btn" onclick="event.stopPropagation(); popOutTerminal('${terminalId}')" title="Pop out">
-              <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M18 13v6a2 2 0 01-2 2H5a2 2 0 01-2-2V8a2 2 0 012-2h6"/>
-                <polyline points="15 3 21 3 21 9"/><line x1="10" y1="14" x2="21" y2="3"/>
-              </svg>
-            </button>
-          </div>
-        </div>
-        <div class="terminal-full"></div>
-      </div>
+      ${renderInlineTerminal(terminalId)}
     `;
     container.appendChild(card);
 
@@ -370,9 +442,8 @@ function renderAppCards() {
     const state = appStates[app.id] || { status: 'unchecked', installed: false };
     const terminalId = app.id;
     const output = terminalOutputs[terminalId];
-    const hasOutput = output?.lines?.length > 0;
+    const hasOutput = output?.screen.lineCount() > 0;
     const isActive = output?.active;
-    const isPoppedOut = output?.poppedOut;
 
     const terminalInfo = { id: terminalId, hasOutput, isActive };
     const card = document.createElement('div');
@@ -383,26 +454,13 @@ function renderAppCards() {
         ${renderIcon(app)}
         <div class="tool-info">
           <div class="tool-name">${app.name} ${renderStatusBadge(state, 'app')}</div>
-          <div class="tool-desc">${app.desc || ''}</div>
+          <div class="tool-desc">${app.desc || ''} ${renderOrigin(app)}</div>
         </div>
         <div class="tool-action">
           ${renderAction(app, state, 'app', terminalInfo)}
         </div>
       </div>
-      <div class="terminal-inline" id="terminal-${terminalId}" style="display: ${(hasOutput && !isPoppedOut) ? 'block' : 'none'};">
-        <div class="terminal-header" onclick="toggleTerminalExpand('${terminalId}')">
-          <span class="terminal-last-line"></span>
-          <div class="terminal-actions">
-            <button class="terminal-btn" onclick="event.stopPropagation(); popOutTerminal('${terminalId}')" title="Pop out">
-              <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M18 13v6a2 2 0 01-2 2H5a2 2 0 01-2-2V8a2 2 0 012-2h6"/>
-                <polyline points="15 3 21 3 21 9"/><line x1="10" y1="14" x2="21" y2="3"/>
-              </svg>
-            </button>
-          </div>
-        </div>
-        <div class="terminal-full"></div>
-      </div>
+      ${renderInlineTerminal(terminalId)}
     `;
     container.appendChild(card);
 
@@ -444,6 +502,9 @@ async function checkToolFast(tool) {
     installed: result.succeeded,
   };
   renderToolCards();
+  renderFileCards();  // Files, projects and accounts may be waiting on it
+  renderProjectCards();
+  checkReadyAccounts();
   return result.succeeded;
 }
 
@@ -457,6 +518,7 @@ async function enrichToolVersion(tool) {
     version: versionInfo.version,
     latestVersion: versionInfo.latestVersion,
     hasUpdate: versionInfo.hasUpdate,
+    ...versionRangeState(tool, versionInfo.version),
   };
   renderToolCards();
 }
@@ -472,63 +534,44 @@ async function checkTool(tool) {
   }
 }
 
+// Run a version command from the config and pull the version number out
+// of its output with the item's version_pattern (see semver.js), falling
+// back to the first line as printed.
+async function readVersion(command, pattern) {
+  const result = await window.onboard.run(command);
+  if (!result.succeeded || !result.stdout) return null;
+  return extractVersion(result.stdout, pattern) || result.stdout.split('\n')[0].trim();
+}
+
+// Whether the installed version is outside the item's `version` range.
+// Versions that can't be read never count as wrong.
+function versionRangeState(item, version) {
+  if (item.version === undefined || !version) return { wrongVersion: false };
+  return { wrongVersion: satisfies(version, item.version) === false, range: String(item.version) };
+}
+
+// Version commands come from the config, either written by hand or
+// generated from the item's package manager (see providers.js).
 async function getToolVersion(tool) {
   let version = null;
   let latestVersion = null;
-  let hasUpdate = false;
-
-  // Determine package name from install command
-  const installCmd = tool.install || '';
-  let pkgName = null;
-  let isCask = false;
-
-  // Parse brew install command
-  const brewMatch = installCmd.match(/brew install\s+(--cask\s+)?(\S+)/);
-  if (brewMatch) {
-    isCask = !!brewMatch[1];
-    pkgName = brewMatch[2];
-  }
-
-  if (pkgName) {
-    // Get installed version
-    const listCmd = isCask
-      ? `brew list --cask --versions ${pkgName} 2>/dev/null | awk '{print $2}'`
-      : `brew list --versions ${pkgName} 2>/dev/null | awk '{print $2}'`;
-    const versionResult = await window.onboard.run(listCmd);
-    if (versionResult.succeeded && versionResult.stdout) {
-      version = versionResult.stdout.split('\n')[0].trim();
-    }
 
-    // Check for updates
-    const outdatedCmd = isCask
-      ? `brew outdated --cask --json 2>/dev/null`
-      : `brew outdated --json 2>/dev/null`;
-    const outdatedResult = await window.onboard.run(outdatedCmd);
-    if (outdatedResult.succeeded && outdatedResult.stdout) {
-      try {
-        const outdated = JSON.parse(outdatedResult.stdout);
-        const formulae = isCask ? (outdated.casks || []) : (outdated.formulae || []);
-        const pkg = formulae.find(f => f.name === pkgName);
-        if (pkg) {
-          hasUpdate = true;
-          latestVersion = pkg.current_version || pkg.installed_versions?.[0];
-        }
-      } catch (e) {
-        // JSON parse failed, ignore
-      }
-    }
+  if (tool.version_command) {
+    version = await readVersion(tool.version_command, tool.version_pattern);
   } else {
-    // For non-brew tools, try --version flag
-    const versionResult = await window.onboard.run(`${tool.id} --version 2>/dev/null | head -1`);
+    // No version command: try a --version flag named after the id
+    const versionResult = await window.onboard.runHelper('versionFlag', tool.id);
     if (versionResult.succeeded && versionResult.stdout) {
-      // Extract version number from output
-      const match = versionResult.stdout.match(/(\d+\.\d+(?:\.\d+)?)/);
-      if (match) {
-        version = match[1];
-      }
+      version = extractVersion(versionResult.stdout, tool.version_pattern);
     }
   }
 
+  // Check for updates
+  if (tool.latest_version) {
+    latestVersion = await readVersion(tool.latest_version);
+  }
+  const hasUpdate = !!(version && latestVersion && latestVersion !== version);
+
   return { version, latestVersion, hasUpdate };
 }
 
@@ -541,6 +584,9 @@ async function checkAppFast(app) {
     installed: result.succeeded,
   };
   renderAppCards();
+  renderFileCards();  // Files, projects and accounts may be waiting on it
+  renderProjectCards();
+  checkReadyAccounts();
   return result.succeeded;
 }
 
@@ -552,6 +598,7 @@ async function enrichAppVersion(app) {
   appStates[app.id] = {
     ...appStates[app.id],
     version,
+    ...versionRangeState(app, version),
   };
   renderAppCards();
 }
@@ -568,6 +615,10 @@ async function checkApp(app) {
 }
 
 async function getAppVersion(app) {
+  if (app.version_command) {
+    return readVersion(app.version_command, app.version_pattern);
+  }
+
   // Try to get version from the app bundle's Info.plist
   const checkCmd = app.check || '';
   const appPathMatch = checkCmd.match(/ls\s+(.+\.app)/);
@@ -575,25 +626,13 @@ async function getAppVersion(app) {
   if (appPathMatch) {
     const paths = appPathMatch[1].split('||').map(p => p.trim().replace(/\\/g, ''));
     for (const appPath of paths) {
-      const versionCmd = `defaults read "${appPath}/Contents/Info" CFBundleShortVersionString 2>/dev/null`;
-      const result = await window.onboard.run(versionCmd);
+      const result = await window.onboard.runHelper('bundleVersion', appPath);
       if (result.succeeded && result.stdout) {
         return result.stdout.trim();
       }
     }
   }
 
-  // Fallback: try brew list --cask --versions
-  const installCmd = app.install || '';
-  const brewMatch = installCmd.match(/brew install\s+--cask\s+(\S+)/);
-  if (brewMatch) {
-    const pkgName = brewMatch[1];
-    const result = await window.onboard.run(`brew list --cask --versions ${pkgName} 2>/dev/null | awk '{print $2}'`);
-    if (result.succeeded && result.stdout) {
-      return result.stdout.split('\n')[0].trim();
-    }
-  }
-
   return null;
 }
 
@@ -635,7 +674,7 @@ async function installTool(toolId) {
   renderToolCards();
   setStatus(`Installing ${tool.name}...`);
 
-  const result = await window.onboard.runStreamingWithId(tool.install, terminalId);
+  const result = await window.onboard.runStreamingWithId(tool.install, terminalId, { action: 'install', item: tool.id, name: tool.name });
 
   // Clear installing state, deactivate terminal
   toolStates[toolId] = { ...toolStates[toolId], installing: false };
@@ -644,7 +683,7 @@ async function installTool(toolId) {
   if (result.cancelled) {
     setStatus('Installation cancelled');
     renderToolCards();
-    return;
+    return false;
   }
 
   if (result.succeeded) {
@@ -657,6 +696,7 @@ async function installTool(toolId) {
     logActivity('failed', `install ${tool.name}`);
     renderToolCards();
   }
+  return !!toolStates[toolId]?.installed;
 }
 
 async function cancelToolInstall(toolId) {
@@ -676,23 +716,12 @@ function uninstallTool(toolId) {
 
 async function doUninstallTool(toolId) {
   const tool = (currentConfig?.dependencies || []).find(t => t.id === toolId);
-  if (!tool) return;
-
-  // Derive uninstall command from install command
-  const installCmd = tool.install || '';
-  let uninstallCmd = null;
-
-  // Parse brew install command
-  const brewMatch = installCmd.match(/brew install\s+(--cask\s+)?(\S+)/);
-  if (brewMatch) {
-    const caskFlag = brewMatch[1] || '';
-    const pkgName = brewMatch[2];
-    uninstallCmd = `brew uninstall ${caskFlag}${pkgName}`;
-  }
+  if (!tool) return false;
 
+  const uninstallCmd = tool.uninstall;
   if (!uninstallCmd) {
     showError(`Cannot uninstall ${tool.name}: no uninstall command available`);
-    return;
+    return false;
   }
 
   const terminalId = `tool-${toolId}`;
@@ -704,7 +733,7 @@ async function doUninstallTool(toolId) {
   renderToolCards();
   setStatus(`Uninstalling ${tool.name}...`);
 
-  const result = await window.onboard.runStreamingWithId(uninstallCmd, terminalId);
+  const result = await window.onboard.runStreamingWithId(uninstallCmd, terminalId, { action: 'uninstall', item: tool.id, name: tool.name });
 
   // Clear state, deactivate terminal
   toolStates[toolId] = { ...toolStates[toolId], installing: false };
@@ -719,24 +748,14 @@ async function doUninstallTool(toolId) {
     logActivity('failed', `uninstall ${tool.name}`);
     renderToolCards();
   }
+  return result.succeeded;
 }
 
 async function upgradeTool(toolId) {
   const tool = (currentConfig?.dependencies || []).find(t => t.id === toolId);
   if (!tool) return;
 
-  // Derive upgrade command from install command
-  const installCmd = tool.install || '';
-  let upgradeCmd = null;
-
-  // Parse brew install command
-  const brewMatch = installCmd.match(/brew install\s+(--cask\s+)?(\S+)/);
-  if (brewMatch) {
-    const caskFlag = brewMatch[1] || '';
-    const pkgName = brewMatch[2];
-    upgradeCmd = `brew upgrade ${caskFlag}${pkgName}`;
-  }
-
+  const upgradeCmd = tool.upgrade;
   if (!upgradeCmd) {
     showError(`Cannot upgrade ${tool.name}: no upgrade command available`);
     return;
@@ -753,7 +772,7 @@ async function upgradeTool(toolId) {
   renderToolCards();
   setStatus(`Upgrading ${tool.name} from v${fromVersion} to v${toVersion}...`);
 
-  const result = await window.onboard.runStreamingWithId(upgradeCmd, terminalId);
+  const result = await window.onboard.runStreamingWithId(upgradeCmd, terminalId, { action: 'upgrade', item: tool.id, name: tool.name });
 
   // Clear state, deactivate terminal
   toolStates[toolId] = { ...toolStates[toolId], installing: false };
@@ -771,6 +790,40 @@ async function upgradeTool(toolId) {
   }
 }
 
+// Replace a version outside the item's range with one inside it
+async function fixVersion(type, id) {
+  const item = configItems(currentConfig).find(i => i.id === id);
+  const states = type === 'tool' ? toolStates : appStates;
+  const render = type === 'tool' ? renderToolCards : renderAppCards;
+  const command = item && fixVersionCommand(item, states[id] || {});
+  if (!command) return;
+
+  const terminalId = type === 'tool' ? `tool-${id}` : id;
+  clearTerminalOutput(terminalId);
+  setTerminalActive(terminalId, true);
+  states[id] = { ...states[id], installing: true };
+  render();
+  setStatus(`Installing ${item.name} ${item.version}...`);
+
+  const result = await window.onboard.runStreamingWithId(command, terminalId, { action: 'fix', item: item.id, name: item.name });
+
+  states[id] = { ...states[id], installing: false };
+  setTerminalActive(terminalId, false);
+
+  if (result.succeeded) {
+    await (type === 'tool' ? checkTool(item) : checkApp(item));
+    if (states[id]?.wrongVersion) {
+      showError(`${item.name} is still v${states[id].version}, outside ${item.version}`);
+    } else {
+      logActivity('fixed', item.name, states[id]?.version);
+    }
+  } else {
+    showError(`Failed to fix the version of ${item.name}`, result.stderr);
+    logActivity('failed', `fix the version of ${item.name}`);
+    render();
+  }
+}
+
 async function installApp(appId) {
   const app = (currentConfig?.apps || []).find(a => a.id === appId);
   if (!app) return;
@@ -782,7 +835,7 @@ async function installApp(appId) {
   renderAppCards();
   setStatus(`Installing ${app.name}...`);
 
-  const result = await window.onboard.runStreamingWithId(app.install, appId);
+  const result = await window.onboard.runStreamingWithId(app.install, appId, { action: 'install', item: app.id, name: app.name });
 
   // Clear installing state, deactivate terminal
   appStates[appId] = { ...appStates[appId], installing: false };
@@ -792,7 +845,7 @@ async function installApp(appId) {
   if (result.cancelled) {
     setStatus('Installation cancelled');
     renderAppCards();
-    return;
+    return false;
   }
 
   if (result.succeeded) {
@@ -804,6 +857,7 @@ async function installApp(appId) {
     showError(`Failed to install ${app.name}`, result.stderr);
     logActivity('failed', `install ${app.name}`);
   }
+  return !!appStates[appId]?.installed;
 }
 
 async function cancelInstall(appId) {
@@ -816,35 +870,12 @@ async function cancelInstall(appId) {
   setStatus('Installation cancelled');
 }
 
-async function resolveAppPath(app) {
-  // Try to find the app path from the check command
-  // Most apps have check: "ls /Applications/AppName.app"
-  const checkCmd = app.check || '';
-  const appPathMatch = checkCmd.match(/ls\s+(.+\.app)/);
-
-  if (appPathMatch) {
-    // Extract first valid path (handle || for multiple checks)
-    const paths = appPathMatch[1].split('||').map(p => p.trim().replace(/\\/g, ''));
-    for (const appPath of paths) {
-      const exists = await window.onboard.run(`ls "${appPath}"`);
-      if (exists.succeeded) return appPath;
-    }
-  }
-
-  // Fallback: standard Applications path
-  return `/Applications/${app.name}.app`;
-}
-
 async function openApp(appId) {
-  const app = (currentConfig?.apps || []).find(a => a.id === appId);
-  if (!app) return;
-  await window.onboard.openPath(await resolveAppPath(app));
+  await window.onboard.openApp(appId);
 }
 
 async function revealAppInFinder(appId) {
-  const app = (currentConfig?.apps || []).find(a => a.id === appId);
-  if (!app) return;
-  await window.onboard.showInFolder(await resolveAppPath(app));
+  await window.onboard.revealApp(appId);
 }
 
 function uninstallApp(appId) {
@@ -857,23 +888,12 @@ function uninstallApp(appId) {
 
 async function doUninstallApp(appId) {
   const app = (currentConfig?.apps || []).find(a => a.id === appId);
-  if (!app) return;
-
-  // Derive uninstall command from install command
-  const installCmd = app.install || '';
-  let uninstallCmd = null;
-
-  // Parse brew install --cask command
-  const brewMatch = installCmd.match(/brew install\s+(--cask\s+)?(\S+)/);
-  if (brewMatch) {
-    const caskFlag = brewMatch[1] || '';
-    const pkgName = brewMatch[2];
-    uninstallCmd = `brew uninstall ${caskFlag}${pkgName}`;
-  }
+  if (!app) return false;
 
+  const uninstallCmd = app.uninstall;
   if (!uninstallCmd) {
     showError(`Cannot uninstall ${app.name}: no uninstall command available`);
-    return;
+    return false;
   }
 
   // Clear previous output and set uninstalling state
@@ -883,7 +903,7 @@ async function doUninstallApp(appId) {
   renderAppCards();
   setStatus(`Uninstalling ${app.name}...`);
 
-  const result = await window.onboard.runStreamingWithId(uninstallCmd, appId);
+  const result = await window.onboard.runStreamingWithId(uninstallCmd, appId, { action: 'uninstall', item: app.id, name: app.name });
 
   // Clear state, deactivate terminal
   appStates[appId] = { ...appStates[appId], installing: false };
@@ -898,39 +918,712 @@ async function doUninstallApp(appId) {
     logActivity('failed', `uninstall ${app.name}`);
     renderAppCards();
   }
+  return result.succeeded;
+}
+
+// An item's depends_on ids can point at tools or apps
+function isInstalled(id) {
+  return !!(toolStates[id]?.installed || appStates[id]?.installed);
+}
+
+function unmetDependencies(item) {
+  return item.depends_on.filter(id => !isInstalled(id));
+}
+
+function setQueued(section, id, queued) {
+  if (section === 'apps') {
+    appStates[id] = { ...appStates[id], queued };
+    renderAppCards();
+  } else {
+    toolStates[id] = { ...toolStates[id], queued };
+    renderToolCards();
+  }
+}
+
+// Install every missing item of one section, running independent branches
+// in parallel. Items whose parents failed to install are skipped and reported.
+// In a transactional config the first failure stops the run, and the user
+// is offered a rollback of everything the run installed.
+async function installAllInSection(section, install) {
+  const items = resolveOrder(currentConfig)
+    .filter(item => currentConfig[section].includes(item) && !isInstalled(item.id));
+  items.forEach(item => setQueued(section, item.id, true));
+
+  const installedThisRun = [];
+  let failedItem = null;
+
+  const { skipped, notStarted } = await inBatch(() => runScheduled(items, {
+    concurrency: currentConfig.concurrency,
+    isSatisfied: isInstalled,
+    halted: () => currentConfig.transactional && failedItem !== null,
+    run: async (item) => {
+      setQueued(section, item.id, false);
+      if (await install(item.id)) {
+        installedThisRun.push(item);
+      } else if (!failedItem) {
+        failedItem = item;
+      }
+    },
+  }));
+
+  [...skipped.map(({ item }) => item), ...notStarted].forEach(item => setQueued(section, item.id, false));
+  if (skipped.length > 0) {
+    const names = skipped.map(({ item, unmet }) => `${item.name} (needs ${unmet.join(', ')})`);
+    queueStatus(`Skipped ${names.join(', ')}`);
+  }
+
+  if (currentConfig.transactional && failedItem && installedThisRun.length > 0) {
+    showRollbackModal(failedItem, installedThisRun);
+  }
+}
+
+// Run several installs as one batch, so sudo asks for the password once
+async function inBatch(run) {
+  await window.onboard.beginBatch();
+  try {
+    return await run();
+  } finally {
+    await window.onboard.endBatch();
+  }
 }
 
 async function installAllDeps() {
-  const tools = currentConfig?.dependencies || [];
+  await installAllInSection('dependencies', installTool);
+}
+
+async function installAllApps() {
+  await installAllInSection('apps', installApp);
+}
+
+// ─── Files ─────────────────────────────────────────────────────────
+
+// Dotfiles and other config files (see dotfiles.js). The main process
+// works out where each one stands; a file that has drifted carries a diff
+// from what's on disk to what applying it would write.
+
+function renderFileBadge(state) {
+  switch (state.status === 'checking' ? 'checking' : state.state) {
+    case 'checking':
+      return '<span class="status-badge checking">Checking...</span>';
+    case 'applied':
+      return '<span class="status-badge installed">✓ Up to date</span>';
+    case 'drift':
+      return `<span class="status-badge wrong-version" title="${escapeHtml(state.detail)}">Changed</span>`;
+    case 'needs-input':
+      return `<span class="status-badge missing" title="Needs ${escapeHtml(state.missing.join(', '))}">Needs your details</span>`;
+    case 'error':
+      return `<span class="status-badge missing" title="${escapeHtml(state.error)}">Error</span>`;
+    default:
+      return '<span class="status-badge missing">Not created</span>';
+  }
+}
+
+function renderFileAction(file, state) {
+  if (state.status === 'checking' || state.applying) {
+    return '<span class="spinner"></span>';
+  }
+  if (state.state === 'applied') return '';
+  if (state.state === 'error') {
+    return '<button class="btn btn-sm" onclick="checkAllFiles()">Retry</button>';
+  }
+  if (state.state === 'needs-input') {
+    return '<button class="btn btn-primary btn-sm" onclick="showVariablesModal()">Fill in</button>';
+  }
+
+  const unmet = unmetDependencies(file);
+  if (unmet.length > 0) {
+    return `<button class="btn btn-sm" disabled>Needs ${unmet.join(', ')}</button>`;
+  }
+  if (state.state === 'drift') {
+    return `<div class="tool-actions">
+      <button class="btn btn-sm" onclick="toggleFileDiff('${file.id}')">${state.showDiff ? 'Hide diff' : 'Diff'}</button>
+      <button class="btn btn-sm btn-upgrade" onclick="applyFile('${file.id}')" title="Replace it, keeping a backup">Apply</button>
+    </div>`;
+  }
+  return `<button class="btn btn-primary btn-sm" onclick="applyFile('${file.id}')">Create</button>`;
+}
+
+// Lines on disk in red, lines the config would write in green
+function renderFileDiff(state) {
+  if (state.state !== 'drift' || !state.showDiff) return '';
+  const lines = state.diff.map(line => {
+    if (line.op === '…') return `<span class="diff-skip">⋯ ${line.count} unchanged line${line.count === 1 ? '' : 's'}</span>`;
+    const className = line.op === '+' ? 'diff-add' : line.op === '-' ? 'diff-del' : '';
+    return `<span class="${className}">${line.op} ${escapeHtml(line.text)}</span>`;
+  });
+  return `<div class="file-diff">
+    <div class="file-diff-legend">− on disk · + from this config</div>
+    <pre>${lines.join('\n')}</pre>
+  </div>`;
+}
+
+function renderFileCards() {
+  const container = document.getElementById('files-container');
+  const section = document.getElementById('files-section');
+  const files = currentConfig?.files || [];
+
+  section.style.display = files.length === 0 ? 'none' : '';
+  document.getElementById('file-variables-btn').style.display =
+    Object.keys(currentConfig?.variables || {}).length > 0 ? '' : 'none';
+  container.innerHTML = '';
+
+  files.forEach(file => {
+    const state = fileStates[file.id] || { status: 'checking' };
+    const detail = state.state === 'drift' ? ` — ${escapeHtml(state.detail)}` : '';
+    const card = document.createElement('div');
+    card.className = 'tool-card';
+    card.id = `card-file-${file.id}`;
+    card.innerHTML = `
+      <div class="tool-card-main">
+        ${renderIcon({ icon: '📄', ...file, name: file.name || file.path })}
+        <div class="tool-info">
+          <div class="tool-name">${escapeHtml(file.name || file.path)} ${renderFileBadge(state)}</div>
+          <div class="tool-desc">${file.desc ? `${escapeHtml(file.desc)} · ` : ''}<code>${escapeHtml(file.path)}</code>${file.link ? ' (link)' : ''}${detail} ${renderOrigin(file)}</div>
+        </div>
+        <div class="tool-action">
+          ${renderFileAction(file, state)}
+        </div>
+      </div>
+      ${renderFileDiff(state)}
+    `;
+    container.appendChild(card);
+  });
+
+  const upToDate = files.filter(f => fileStates[f.id]?.state === 'applied').length;
+  document.getElementById('files-progress-label').textContent = `${upToDate}/${files.length} up to date`;
+}
+
+async function checkAllFiles() {
+  const files = currentConfig?.files || [];
+  if (files.length === 0) return;
+
+  files.forEach(f => { fileStates[f.id] = { ...fileStates[f.id], status: 'checking' }; });
+  renderFileCards();
+
+  const statuses = await window.onboard.fileStatus();
+  statuses.forEach(status => {
+    fileStates[status.id] = { ...status, status: 'checked', showDiff: fileStates[status.id]?.showDiff || false };
+  });
+  renderFileCards();
+}
+
+function toggleFileDiff(fileId) {
+  fileStates[fileId] = { ...fileStates[fileId], showDiff: !fileStates[fileId]?.showDiff };
+  renderFileCards();
+}
+
+async function applyFile(fileId) {
+  const file = (currentConfig?.files || []).find(f => f.id === fileId);
+  if (!file) return false;
+
+  fileStates[fileId] = { ...fileStates[fileId], applying: true };
+  renderFileCards();
+  setStatus(`Writing ${file.path}...`);
+
+  const result = await window.onboard.applyFile(fileId);
+  fileStates[fileId] = { ...fileStates[fileId], applying: false, showDiff: false };
+  if (result.error) {
+    showError(`Failed to write ${file.path}`, result.error);
+    logActivity('failed', `write ${file.path}`);
+  } else {
+    logActivity('applied', file.path);
+    if (result.backup) queueStatus(`Backed up the previous file to ${formatPath(result.backup)}`);
+  }
+  await checkAllFiles();
+  return !result.error;
+}
+
+// Apply every file that isn't up to date and can be written now
+async function applyAllFiles() {
+  if ((currentConfig?.files || []).some(file => fileStates[file.id]?.state === 'needs-input')) {
+    showVariablesModal();
+    return;
+  }
+  const files = (currentConfig?.files || []).filter(file =>
+    ['missing', 'drift'].includes(fileStates[file.id]?.state) && unmetDependencies(file).length === 0);
+  for (const file of files) {
+    await applyFile(file.id);
+  }
+}
+
+// ─── Settings ──────────────────────────────────────────────────────
+
+// macOS preferences written with `defaults` (see settings.js). They're
+// applied and reverted together; reverting puts back what each key held
+// before the app first changed it.
+
+function renderSettingBadge(state) {
+  switch (state.status === 'checking' ? 'checking' : state.state) {
+    case 'checking':
+      return '<span class="status-badge checking">Checking...</span>';
+    case 'applied':
+      return '<span class="status-badge installed">✓ Applied</span>';
+    case 'error':
+      return `<span class="status-badge missing" title="${escapeHtml(state.error)}">Error</span>`;
+    default:
+      return '<span class="status-badge missing">Not applied</span>';
+  }
+}
+
+function settingValueText(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function renderSettingCards() {
+  const container = document.getElementById('settings-container');
+  const section = document.getElementById('settings-section');
+  const settings = currentConfig?.settings || [];
+
+  section.style.display = settings.length === 0 ? 'none' : '';
+  container.innerHTML = '';
+
+  settings.forEach(setting => {
+    const state = settingStates[setting.id] || { status: 'checking' };
+    const now = state.state === 'unapplied' ? ` · now ${escapeHtml(state.current ?? 'not set')}` : '';
+    const card = document.createElement('div');
+    card.className = 'tool-card';
+    card.id = `card-setting-${setting.id}`;
+    card.innerHTML = `
+      <div class="tool-card-main">
+        ${renderIcon({ icon: '⚙️', ...setting, name: setting.name || setting.key })}
+        <div class="tool-info">
+          <div class="tool-name">${escapeHtml(setting.name || setting.key)} ${renderSettingBadge(state)}</div>
+          <div class="tool-desc">${setting.desc ? `${escapeHtml(setting.desc)} · ` : ''}<code>${escapeHtml(setting.domain)} ${escapeHtml(setting.key)} = ${escapeHtml(settingValueText(setting.value))}</code>${now} ${renderOrigin(setting)}</div>
+        </div>
+        <div class="tool-action">
+          ${state.status === 'checking' || settingsBusy ? '<span class="spinner"></span>' : ''}
+        </div>
+      </div>
+    `;
+    container.appendChild(card);
+  });
+
+  const applied = settings.filter(s => settingStates[s.id]?.state === 'applied').length;
+  document.getElementById('settings-progress-label').textContent = `${applied}/${settings.length} applied`;
+  document.getElementById('apply-settings-btn').disabled = settingsBusy || applied === settings.length;
+  document.getElementById('revert-settings-btn').style.display =
+    settings.some(s => settingStates[s.id]?.saved) ? '' : 'none';
+  document.getElementById('revert-settings-btn').disabled = settingsBusy;
+}
+
+async function checkAllSettings() {
+  const settings = currentConfig?.settings || [];
+  if (settings.length === 0) return;
+
+  settings.forEach(s => { settingStates[s.id] = { ...settingStates[s.id], status: 'checking' }; });
+  renderSettingCards();
+
+  const statuses = await window.onboard.settingsStatus();
+  statuses.forEach(status => {
+    settingStates[status.id] = { ...status, status: 'checked' };
+  });
+  renderSettingCards();
+}
+
+// Run a batch apply or revert and report how it went
+async function runSettingsBatch(run, verb) {
+  settingsBusy = true;
+  renderSettingCards();
+  setStatus(`${verb === 'apply' ? 'Applying' : 'Reverting'} settings...`);
+
+  const result = await run();
+  settingsBusy = false;
+  if (result.error) {
+    showError(`Failed to ${verb} settings`, result.error);
+    logActivity('failed', `${verb} settings`);
+  } else if (result.failed.length > 0) {
+    showError(`Failed to ${verb} ${result.failed.length} setting${result.failed.length === 1 ? '' : 's'}`,
+      result.failed.map(failure => `${failure.id}: ${failure.error}`).join('\n'));
+    logActivity('failed', `${verb} settings`);
+  } else {
+    logActivity(verb === 'apply' ? 'set' : 'reverted', 'macOS settings');
+  }
+  await checkAllSettings();
+}
+
+async function applyAllSettings() {
+  await runSettingsBatch(() => window.onboard.applySettings(), 'apply');
+}
+
+async function revertAllSettings() {
+  await runSettingsBatch(() => window.onboard.revertSettings(), 'revert');
+}
+
+// ─── Accounts ──────────────────────────────────────────────────────
 
-  // Install in order — dependencies first
-  for (const tool of tools) {
-    if (toolStates[tool.id]?.installed) continue; // Already installed
+// Services to sign in to (see accounts.js). An account is checked once
+// whatever it depends on is installed; signing in runs its login command
+// in the card's terminal, "account-<id>", where the user answers its prompts.
 
-    // Check dependency is installed (may have been installed earlier in this loop)
-    if (tool.depends_on && !toolStates[tool.depends_on]?.installed) {
-      continue; // Skip if dependency not met
+function renderAccountBadge(account, state) {
+  if (!state || state.status === 'checking') {
+    return unmetDependencies(account).length > 0 ? '' : '<span class="status-badge checking">Checking...</span>';
+  }
+  if (state.signedIn) {
+    return `<span class="status-badge installed">✓ ${state.identity ? `Signed in as ${escapeHtml(state.identity)}` : 'Signed in'}</span>`;
+  }
+  return '<span class="status-badge missing">Not signed in</span>';
+}
+
+function renderAccountAction(account, state) {
+  const terminalId = `account-${account.id}`;
+  if (state?.signingIn) {
+    return `<div class="install-spinner">
+      <span class="spinner"></span>
+      <button class="cancel-btn" onclick="cancelSignIn('${account.id}')" title="Cancel">
+        <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round">
+          <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+        </svg>
+      </button>
+    </div>`;
+  }
+
+  const unmet = unmetDependencies(account);
+  if (unmet.length > 0) {
+    return `<button class="btn btn-sm" disabled>Needs ${unmet.join(', ')}</button>`;
+  }
+  if (!state || state.status === 'checking') return '<span class="spinner"></span>';
+
+  if (state.signedIn) {
+    if (!(terminalOutputs[terminalId]?.screen.lineCount() > 0)) return '';
+    return `<div class="tool-actions">
+      <button class="btn btn-sm btn-terminal" id="terminal-history-${terminalId}" onclick="showTerminalHistory('${terminalId}')" title="View output">
+        <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <polyline points="4 17 10 11 4 5"/><line x1="12" y1="19" x2="20" y2="19"/>
+        </svg>
+      </button>
+    </div>`;
+  }
+
+  const signupBtn = account.signup
+    ? `<button class="btn btn-sm" onclick="openSignup('${account.id}')" title="${escapeHtml(account.signup)}">Sign up</button>`
+    : '';
+  return `<div class="tool-actions">
+    ${signupBtn}
+    <button class="btn btn-primary btn-sm" onclick="signIn('${account.id}')" title="${escapeHtml(account.login)}">Sign in</button>
+  </div>`;
+}
+
+function renderAccountCards() {
+  const container = document.getElementById('accounts-container');
+  const section = document.getElementById('accounts-section');
+  const accounts = currentConfig?.accounts || [];
+
+  section.style.display = accounts.length === 0 ? 'none' : '';
+  container.innerHTML = '';
+
+  accounts.forEach(account => {
+    const state = accountStates[account.id];
+    const terminalId = `account-${account.id}`;
+    const card = document.createElement('div');
+    card.className = 'tool-card';
+    card.id = `card-${terminalId}`;
+    card.innerHTML = `
+      <div class="tool-card-main">
+        ${renderIcon({ icon: '👤', ...account })}
+        <div class="tool-info">
+          <div class="tool-name">${escapeHtml(account.name)} ${renderAccountBadge(account, state)}</div>
+          <div class="tool-desc">${escapeHtml(account.desc || '')} ${renderOrigin(account)}</div>
+        </div>
+        <div class="tool-action">
+          ${renderAccountAction(account, state)}
+        </div>
+      </div>
+      ${renderInlineTerminal(terminalId)}
+    `;
+    container.appendChild(card);
+
+    if (terminalOutputs[terminalId]?.screen.lineCount() > 0) {
+      updateTerminalDisplay(terminalId);
     }
+  });
+
+  const signedIn = accounts.filter(a => accountStates[a.id]?.signedIn).length;
+  document.getElementById('accounts-progress-label').textContent = `${signedIn}/${accounts.length} signed in`;
+}
+
+async function checkAccount(account) {
+  accountStates[account.id] = { ...accountStates[account.id], status: 'checking' };
+  renderAccountCards();
+  const status = await accountStatus(account, command => window.onboard.run(command));
+  accountStates[account.id] = { ...accountStates[account.id], ...status, status: 'checked' };
+  renderAccountCards();
+}
+
+// Check every account that hasn't been checked yet and whose CLI is now
+// installed
+function checkReadyAccounts() {
+  (currentConfig?.accounts || [])
+    .filter(account => !accountStates[account.id] && unmetDependencies(account).length === 0)
+    .forEach(account => checkAccount(account));
+  renderAccountCards();
+}
+
+// Run the account's login command where the user can see and answer it
+async function signIn(accountId) {
+  const account = (currentConfig?.accounts || []).find(a => a.id === accountId);
+  if (!account) return;
+  const terminalId = `account-${accountId}`;
+
+  clearTerminalOutput(terminalId);
+  setTerminalActive(terminalId, true);
+  terminalOutputs[terminalId].expanded = true;
+  accountStates[accountId] = { ...accountStates[accountId], signingIn: true };
+  renderAccountCards();
+  setStatus(`Signing in to ${account.name}...`);
+
+  const result = await window.onboard.runStreamingWithId(account.login, terminalId, { action: 'login', item: account.id, name: account.name });
+  accountStates[accountId] = { ...accountStates[accountId], signingIn: false };
+  setTerminalActive(terminalId, false);
 
-    await installTool(tool.id);
+  if (result.cancelled) {
+    setStatus('Sign in cancelled');
+  } else if (!result.succeeded) {
+    showError(`Failed to sign in to ${account.name}`, result.stderr);
+    logActivity('failed', `sign in to ${account.name}`);
+  }
+  await checkAccount(account);
+  if (accountStates[accountId].signedIn && result.succeeded) {
+    const { identity } = accountStates[accountId];
+    logActivity('signed in', identity ? `${account.name} as ${identity}` : account.name);
   }
 }
 
-async function installAllApps() {
-  const apps = currentConfig?.apps || [];
+async function cancelSignIn(accountId) {
+  await window.onboard.cancelProcess(`account-${accountId}`);
+}
+
+async function openSignup(accountId) {
+  const account = (currentConfig?.accounts || []).find(a => a.id === accountId);
+  if (account?.signup) await window.onboard.openExternal(account.signup);
+}
 
-  // Install in order
-  for (const app of apps) {
-    if (appStates[app.id]?.installed) continue; // Already installed
+// ─── Workspace ─────────────────────────────────────────────────────
 
-    // Check dependency (could be a tool or another app)
-    if (app.depends_on) {
-      const depInstalled = toolStates[app.depends_on]?.installed || appStates[app.depends_on]?.installed;
-      if (!depInstalled) continue; // Skip if dependency not met
+// Projects to clone and set up (see workspace.js). Cloning, setup and
+// running stream into the card's terminal, "project-<id>"; a running
+// project stays running until it's stopped.
+
+function renderProjectBadge(state) {
+  if (state.busy === 'run') return '<span class="status-badge installed">● Running</span>';
+  switch (state.status === 'checking' ? 'checking' : state.state) {
+    case 'checking':
+      return '<span class="status-badge checking">Checking...</span>';
+    case 'cloned':
+      return state.setupFailed
+        ? '<span class="status-badge wrong-version">Setup failed</span>'
+        : '<span class="status-badge installed">✓ Cloned</span>';
+    case 'conflict':
+      return `<span class="status-badge wrong-version" title="${escapeHtml(state.detail)}">Folder in use</span>`;
+    case 'error':
+      return `<span class="status-badge missing" title="${escapeHtml(state.error)}">Error</span>`;
+    default:
+      return '<span class="status-badge missing">Not cloned</span>';
+  }
+}
+
+function renderProjectAction(project, state) {
+  const terminalId = `project-${project.id}`;
+  const cancelBtn = `<button class="cancel-btn" onclick="stopProject('${project.id}')" title="${state.busy === 'run' ? 'Stop' : 'Cancel'}">
+    <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round">
+      <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+    </svg>
+  </button>`;
+  const openBtn = `<button class="btn btn-sm btn-open" onclick="openProject('${project.id}')" title="Open in ${escapeHtml(project.editor || 'code')}">Open</button>`;
+
+  if (state.status === 'checking') return '<span class="spinner"></span>';
+  if (state.busy === 'run') return `<div class="tool-actions">${openBtn}${cancelBtn}</div>`;
+  if (state.busy) return `<div class="install-spinner"><span class="spinner"></span>${cancelBtn}</div>`;
+  if (state.state === 'error' || state.state === 'conflict') {
+    return '<button class="btn btn-sm" onclick="checkAllProjects()">Check again</button>';
+  }
+
+  if (state.state === 'cloned') {
+    const hasOutput = terminalOutputs[terminalId]?.screen.lineCount() > 0;
+    let actions = hasOutput ? `<button class="btn btn-sm btn-terminal" id="terminal-history-${terminalId}"
+      onclick="showTerminalHistory('${terminalId}')" title="View output">
+      <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polyline points="4 17 10 11 4 5"/><line x1="12" y1="19" x2="20" y2="19"/>
+      </svg>
+    </button>` : '';
+    if (project.setup?.length) {
+      actions += `<button class="btn btn-sm ${state.setupFailed ? 'btn-upgrade' : 'btn-terminal'}" onclick="setupProject('${project.id}')" title="Run ${escapeHtml(project.setup.join(' && '))}">${state.setupFailed ? 'Retry setup' : 'Set up'}</button>`;
+    }
+    actions += openBtn;
+    if (project.run) {
+      actions += `<button class="btn btn-primary btn-sm" onclick="runProject('${project.id}')" title="${escapeHtml(project.run)}">Run</button>`;
     }
+    return `<div class="tool-actions">${actions}</div>`;
+  }
 
-    await installApp(app.id);
+  const unmet = unmetDependencies(project);
+  if (unmet.length > 0) {
+    return `<button class="btn btn-sm" disabled>Needs ${unmet.join(', ')}</button>`;
   }
+  return `<button class="btn btn-primary btn-sm" onclick="cloneProject('${project.id}')">Clone</button>`;
+}
+
+function renderProjectCards() {
+  const container = document.getElementById('workspace-container');
+  const section = document.getElementById('workspace-section');
+  const projects = currentConfig?.workspace || [];
+
+  section.style.display = projects.length === 0 ? 'none' : '';
+  container.innerHTML = '';
+
+  projects.forEach(project => {
+    const state = projectStates[project.id] || { status: 'checking' };
+    const terminalId = `project-${project.id}`;
+    const detail = state.state === 'conflict' ? ` — ${escapeHtml(state.detail)}` : '';
+    const card = document.createElement('div');
+    card.className = 'tool-card';
+    card.id = `card-${terminalId}`;
+    card.innerHTML = `
+      <div class="tool-card-main">
+        ${renderIcon({ icon: '📁', ...project, name: project.name || project.id })}
+        <div class="tool-info">
+          <div class="tool-name">${escapeHtml(project.name || project.id)} ${renderProjectBadge(state)}</div>
+          <div class="tool-desc">${project.desc ? `${escapeHtml(project.desc)} · ` : ''}<code>${escapeHtml(project.path)}</code>${detail} ${renderOrigin(project)}</div>
+        </div>
+        <div class="tool-action">
+          ${renderProjectAction(project, state)}
+        </div>
+      </div>
+      ${renderInlineTerminal(terminalId)}
+    `;
+    container.appendChild(card);
+
+    if (terminalOutputs[terminalId]?.screen.lineCount() > 0) {
+      updateTerminalDisplay(terminalId);
+    }
+  });
+
+  const cloned = projects.filter(p => projectStates[p.id]?.state === 'cloned').length;
+  document.getElementById('workspace-progress-label').textContent = `${cloned}/${projects.length} cloned`;
+}
+
+async function checkAllProjects() {
+  const projects = currentConfig?.workspace || [];
+  if (projects.length === 0) return;
+
+  projects.forEach(p => { projectStates[p.id] = { ...projectStates[p.id], status: 'checking' }; });
+  renderProjectCards();
+
+  const statuses = await window.onboard.workspaceStatus();
+  statuses.forEach(status => {
+    const { busy, setupFailed } = projectStates[status.id] || {};
+    projectStates[status.id] = { ...status, status: 'checked', busy, setupFailed };
+  });
+  renderProjectCards();
+}
+
+// Run one of a project's steps in its terminal and report how it went.
+// Resolves to whether it succeeded.
+async function runProjectStep(projectId, busy, run, { doing, done, verb }) {
+  const project = (currentConfig?.workspace || []).find(p => p.id === projectId);
+  if (!project) return false;
+  const name = project.name || project.id;
+  const terminalId = `project-${projectId}`;
+
+  clearTerminalOutput(terminalId);
+  setTerminalActive(terminalId, true);
+  projectStates[projectId] = { ...projectStates[projectId], busy };
+  renderProjectCards();
+  setStatus(`${doing} ${name}...`);
+
+  const result = await run();
+  projectStates[projectId] = { ...projectStates[projectId], busy: null };
+  setTerminalActive(terminalId, false);
+
+  const failed = result.error || (!result.succeeded && !result.cancelled);
+  if (failed) {
+    showError(`Failed to ${verb} ${name}`, result.error || result.stderr);
+    logActivity('failed', `${verb} ${name}`);
+  } else if (result.cancelled) {
+    setStatus(busy === 'run' ? `Stopped ${name}` : `${doing} ${name} cancelled`);
+  } else if (done) {
+    logActivity(done, name);
+  }
+  await checkAllProjects();
+  return !failed && !result.cancelled;
+}
+
+// Clone a project and set it up. A failed setup leaves the clone in
+// place, so it can be set up again from the card.
+async function cloneProject(projectId) {
+  const succeeded = await runProjectStep(projectId, 'clone', () => window.onboard.cloneProject(projectId),
+    { doing: 'Cloning', done: 'cloned', verb: 'clone' });
+  const cloned = projectStates[projectId]?.state === 'cloned';
+  projectStates[projectId] = { ...projectStates[projectId], setupFailed: cloned && !succeeded };
+  renderProjectCards();
+  return succeeded;
+}
+
+async function setupProject(projectId) {
+  const succeeded = await runProjectStep(projectId, 'setup', () => window.onboard.setupProject(projectId),
+    { doing: 'Setting up', done: 'set up', verb: 'set up' });
+  projectStates[projectId] = { ...projectStates[projectId], setupFailed: !succeeded };
+  renderProjectCards();
+}
+
+// Start a project. It keeps running, with its output in the card, until
+// it's stopped.
+async function runProject(projectId) {
+  await runProjectStep(projectId, 'run', () => window.onboard.runProject(projectId),
+    { doing: 'Starting', done: null, verb: 'run' });
+}
+
+async function stopProject(projectId) {
+  await window.onboard.cancelProcess(`project-${projectId}`);
+}
+
+async function openProject(projectId) {
+  const project = (currentConfig?.workspace || []).find(p => p.id === projectId);
+  const result = await window.onboard.openProject(projectId);
+  if (result.error) {
+    showError(`Could not open ${project?.name || projectId}`, result.error);
+  } else if (result.openedFolder) {
+    queueStatus(`${project?.editor || 'code'} isn't installed; opened the folder instead`);
+  }
+}
+
+// Clone every project that isn't cloned yet and can be
+async function cloneAllProjects() {
+  const projects = (currentConfig?.workspace || []).filter(project =>
+    projectStates[project.id]?.state === 'missing' && !projectStates[project.id]?.busy && unmetDependencies(project).length === 0);
+  for (const project of projects) {
+    await cloneProject(project.id);
+  }
+}
+
+// ─── File Variables Modal ──────────────────────────────────────────
+
+async function showVariablesModal() {
+  const variables = await window.onboard.getFileVariables();
+  document.getElementById('variables-fields').innerHTML = variables.map(variable => `
+    <label class="variables-field">${escapeHtml(variable.prompt)}
+      <input class="modal-input" data-variable="${variable.name}" value="${escapeHtml(variable.value).replace(/"/g, '&quot;')}" autocomplete="off">
+    </label>`).join('');
+  document.getElementById('variables-modal').style.display = 'flex';
+  document.querySelector('#variables-fields input')?.focus();
+}
+
+async function saveVariables() {
+  const values = {};
+  document.querySelectorAll('#variables-fields input').forEach(input => {
+    values[input.dataset.variable] = input.value;
+  });
+  const result = await window.onboard.saveFileVariables(values);
+  if (result.error) {
+    showError('Could not save your details', result.error);
+    return;
+  }
+  hideVariablesModal();
+  checkAllFiles();
+}
+
+function hideVariablesModal() {
+  document.getElementById('variables-modal').style.display = 'none';
 }
 
 // ─── Theme ─────────────────────────────────────────────────────────
@@ -972,25 +1665,38 @@ async function openFilePicker() {
 
 function initTerminalOutput(id) {
   if (!terminalOutputs[id]) {
-    terminalOutputs[id] = { lines: [], poppedOut: false, active: false, expanded: false };
+    terminalOutputs[id] = { screen: createTerminalScreen(), raw: '', poppedOut: false, active: false, expanded: false };
   }
 }
 
 function setTerminalActive(id, active) {
   initTerminalOutput(id);
   terminalOutputs[id].active = active;
+  if (!active && passwordPromptId === id) hidePasswordModal();
+}
+
+// Typing into a terminal while its command runs sends the keys to it
+function onTerminalKey(event, id) {
+  if (!terminalOutputs[id]?.active) return;
+  const data = keyToInput(event);
+  if (data === null) return;
+  event.preventDefault();
+  window.onboard.writeInput(id, data);
+}
+
+function onTerminalPaste(event, id) {
+  if (!terminalOutputs[id]?.active) return;
+  event.preventDefault();
+  window.onboard.writeInput(id, event.clipboardData.getData('text'));
 }
 
 function appendTerminalOutput(id, data, stream = 'stdout') {
   initTerminalOutput(id);
-  const lines = data.split('\n').filter(l => l.length > 0);
-  lines.forEach(line => {
-    terminalOutputs[id].lines.push({ text: line, stream });
-    // Trim to max lines
-    if (terminalOutputs[id].lines.length > MAX_TERMINAL_LINES) {
-      terminalOutputs[id].lines.shift();
-    }
-  });
+  const output = terminalOutputs[id];
+  // Piped commands keep stderr separate; show it in red like before
+  const text = stream === 'stderr' ? `\x1b[31m${data}\x1b[39m` : data;
+  output.screen.write(text);
+  output.raw = (output.raw + text).slice(-MAX_TERMINAL_RAW);
   updateTerminalDisplay(id);
 
   // Also send to pop-out window if open
@@ -1004,7 +1710,7 @@ function updateTerminalDisplay(id) {
   const historyBtn = document.getElementById(`terminal-history-${id}`);
 
   const output = terminalOutputs[id];
-  const hasOutput = output && output.lines.length > 0;
+  const hasOutput = output && output.screen.lineCount() > 0;
   const isActive = output?.active;
   const isPoppedOut = output?.poppedOut;
 
@@ -1031,21 +1737,19 @@ function updateTerminalDisplay(id) {
     el.classList.remove('expanded');
   }
 
-  // Show last line for compact view
-  const lastLine = output.lines[output.lines.length - 1];
+  renderTerminalContent(el, output);
+}
+
+// Last line for the compact view, the whole scrollback for the full view
+function renderTerminalContent(el, output) {
   const lastLineEl = el.querySelector('.terminal-last-line');
   if (lastLineEl) {
-    lastLineEl.textContent = lastLine.text;
-    lastLineEl.className = `terminal-last-line ${lastLine.stream}`;
+    lastLineEl.textContent = output.screen.lastLineText();
   }
 
-  // Update full output view
   const fullEl = el.querySelector('.terminal-full');
   if (fullEl) {
-    fullEl.innerHTML = output.lines.map(l =>
-      `<span class="${l.stream}">${escapeHtml(l.text)}</span>`
-    ).join('\n');
-    fullEl.scrollTop = fullEl.scrollHeight;
+    renderTerminalScreen(fullEl, output.screen);
   }
 }
 
@@ -1057,7 +1761,8 @@ function escapeHtml(text) {
 
 function clearTerminalOutput(id) {
   if (terminalOutputs[id]) {
-    terminalOutputs[id].lines = [];
+    terminalOutputs[id].screen = createTerminalScreen();
+    terminalOutputs[id].raw = '';
   }
   updateTerminalDisplay(id);
 }
@@ -1076,7 +1781,7 @@ function showTerminalHistory(id) {
   if (!el) return;
 
   const output = terminalOutputs[id];
-  if (!output || output.lines.length === 0) return;
+  if (!output || output.screen.lineCount() === 0) return;
 
   // Show the terminal inline and expand it
   el.style.display = 'block';
@@ -1088,21 +1793,8 @@ function showTerminalHistory(id) {
     historyBtn.style.display = 'none';
   }
 
-  // Manually populate the terminal content (don't call updateTerminalDisplay which removes expanded)
-  const lastLine = output.lines[output.lines.length - 1];
-  const lastLineEl = el.querySelector('.terminal-last-line');
-  if (lastLineEl) {
-    lastLineEl.textContent = lastLine.text;
-    lastLineEl.className = `terminal-last-line ${lastLine.stream}`;
-  }
-
-  const fullEl = el.querySelector('.terminal-full');
-  if (fullEl) {
-    fullEl.innerHTML = output.lines.map(l =>
-      `<span class="${l.stream}">${escapeHtml(l.text)}</span>`
-    ).join('\n');
-    fullEl.scrollTop = fullEl.scrollHeight;
-  }
+  // Populate directly (updateTerminalDisplay would remove expanded)
+  renderTerminalContent(el, output);
 }
 
 async function popOutTerminal(id) {
@@ -1113,12 +1805,12 @@ async function popOutTerminal(id) {
   // Get the item name for the window title
   const tool = (currentConfig?.dependencies || []).find(t => t.id === id || `tool-${t.id}` === id);
   const app = (currentConfig?.apps || []).find(a => a.id === id);
-  const name = tool?.name || app?.name || id;
+  const project = (currentConfig?.workspace || []).find(p => `project-${p.id}` === id);
+  const account = (currentConfig?.accounts || []).find(a => `account-${a.id}` === id);
+  const name = tool?.name || app?.name || project?.name || project?.id || account?.name || id;
 
-  // Send existing output to pop-out window
-  const existingOutput = terminalOutputs[id].lines.map(l => l.text).join('\n');
-
-  await window.onboard.openTerminalWindow(id, name, existingOutput);
+  // Replay existing output into the pop-out window
+  await window.onboard.openTerminalWindow(id, name, terminalOutputs[id].raw);
 }
 
 // Called when pop-out window is closed
@@ -1131,22 +1823,16 @@ function onTerminalWindowClosed(id) {
 
 // ─── Activity Log ──────────────────────────────────────────────────
 
-let activityLog = [];  // Array of { action, name, version, timestamp }
+// The runs themselves (command, exit code, output) are recorded on disk by
+// the main process; this just announces them in the status bar.
+
 let statusQueue = [];  // Queue of status messages to show
 let statusTimeout = null;
 
 function logActivity(action, name, version = null) {
-  const entry = {
-    action,  // 'installed', 'uninstalled', 'upgraded', 'failed'
-    name,
-    version,
-    timestamp: new Date(),
-  };
-  activityLog.unshift(entry);  // Most recent first
-
-  // Keep only last 50 entries
-  if (activityLog.length > 50) {
-    activityLog.pop();
+  // Refresh the history popup if it's open
+  if (document.getElementById('activity-log-popup')?.style.display === 'block') {
+    renderActivityLog();
   }
 
   // Queue the status message
@@ -1161,6 +1847,27 @@ function logActivity(action, name, version = null) {
     case 'upgraded':
       message = `Upgraded ${name}${version ? ' to v' + version : ''}`;
       break;
+    case 'fixed':
+      message = `Switched ${name}${version ? ' to v' + version : ''}`;
+      break;
+    case 'applied':
+      message = `Wrote ${name}`;
+      break;
+    case 'set':
+      message = `Applied ${name}`;
+      break;
+    case 'reverted':
+      message = `Reverted ${name}`;
+      break;
+    case 'cloned':
+      message = `Cloned and set up ${name}`;
+      break;
+    case 'signed in':
+      message = `Signed in to ${name}`;
+      break;
+    case 'set up':
+      message = `Set up ${name}`;
+      break;
     case 'failed':
       message = `Failed to ${name}`;
       break;
@@ -1310,8 +2017,279 @@ async function confirmUninstall() {
   }
 }
 
+// ─── Password Modal ────────────────────────────────────────────────
+
+let passwordPromptId = null;  // Terminal id of the command asking for sudo
+
+function showPasswordModal(id) {
+  passwordPromptId = id;
+  const item = configItems(currentConfig || {}).find(i => i.id === id || `tool-${i.id}` === id);
+  document.getElementById('password-item-name').textContent = item?.name || id;
+  const input = document.getElementById('password-input');
+  input.value = '';
+  document.getElementById('password-modal').style.display = 'flex';
+  input.focus();
+}
+
+function hidePasswordModal() {
+  document.getElementById('password-modal').style.display = 'none';
+  document.getElementById('password-input').value = '';
+  passwordPromptId = null;
+}
+
+function submitPassword() {
+  const id = passwordPromptId;
+  const password = document.getElementById('password-input').value;
+  hidePasswordModal();
+  window.onboard.providePassword(id, password);
+}
+
+function cancelPassword() {
+  const id = passwordPromptId;
+  hidePasswordModal();
+  window.onboard.providePassword(id, null);
+}
+
+// ─── Trust Modal ───────────────────────────────────────────────────
+
+let pendingTrust = null;  // { config, resolve }
+
+function describeProvenance(entry) {
+  switch (entry.status) {
+    case 'bundled': return 'Built into the app';
+    case 'trusted': return `Signed by ${entry.publisher}`;
+    case 'unknown-publisher': return `Signed by "${entry.publisher}", who is not a trusted publisher (key ${entry.fingerprint})`;
+    default: return 'Unsigned — anyone could have written it';
+  }
+}
+
+// Show every command in the config and resolve to whether the user trusts it
+function confirmTrust(config) {
+  document.getElementById('trust-sources').innerHTML = config.provenance.map(entry => `
+    <li class="trust-${entry.status}">
+      <span class="trust-source">${escapeHtml(formatPath(entry.source))}</span>
+      <span class="trust-status">${escapeHtml(describeProvenance(entry))}</span>
+    </li>`).join('');
+
+  // `env` and `path` change what every command runs, so they're listed too
+  const environment = [
+    ...Object.entries(config.env || {}).map(([name, value]) => ['env', `${name}=${value}`]),
+    ...(config.path || []).map(entry => ['path', entry]),
+  ];
+  const environmentEntry = environment.length === 0 ? '' : `
+    <li>
+      <span class="trust-item-name">Environment</span>
+      ${environment.map(([field, value]) => `
+        <span class="trust-field">${field}</span>
+        <code class="plan-step-command">${escapeHtml(value)}</code>`).join('')}
+    </li>`;
+
+  // Files land in the home folder, where a dotfile can run code too
+  const fileEntries = (config.files || []).map(file => {
+    const source = file.repo ? `${file.repo}@${file.ref} ${file.source}` : file.source;
+    const text = file.link ? null : file.content ?? file.source_text;
+    return `
+    <li>
+      <span class="trust-item-name">${escapeHtml(file.name || file.path)}</span>
+      <span class="trust-field">${file.link ? 'links' : 'writes'} ${escapeHtml(file.path)}${source ? ` from ${escapeHtml(source)}` : ''}</span>
+      ${text !== null && text !== undefined ? `<code class="plan-step-command">${escapeHtml(text)}</code>` : ''}
+    </li>`;
+  });
+
+  const settingEntries = (config.settings || []).map(setting => `
+    <li>
+      <span class="trust-item-name">${escapeHtml(setting.name || setting.key)}</span>
+      <span class="trust-field">setting</span>
+      <code class="plan-step-command">defaults ${setting.current_host ? '-currentHost ' : ''}write ${escapeHtml(setting.domain)} ${escapeHtml(setting.key)} -${setting.type} ${escapeHtml(settingValueText(setting.value))}</code>
+      ${setting.restart ? `<span class="trust-field">restarts ${escapeHtml(setting.restart)}</span>` : ''}
+    </li>`);
+
+  // Projects clone a repo and run their commands in it
+  const projectEntries = (config.workspace || []).map(project => `
+    <li>
+      <span class="trust-item-name">${escapeHtml(project.name || project.id)}</span>
+      <span class="trust-field">clones ${escapeHtml(project.repo)} into ${escapeHtml(project.path)}</span>
+      ${projectCommands(project).map(([field, command]) => `
+        <span class="trust-field">${field}</span>
+        <code class="plan-step-command">${escapeHtml(command)}</code>`).join('')}
+      <span class="trust-field">opens with ${escapeHtml(project.editor || 'code')}</span>
+    </li>`);
+
+  // Accounts run their check and login commands; signup pages only open
+  const accountEntries = (config.accounts || []).map(account => `
+    <li>
+      <span class="trust-item-name">${escapeHtml(account.name)}</span>
+      ${accountCommands(account).map(([field, command]) => `
+        <span class="trust-field">${field}</span>
+        <code class="plan-step-command">${escapeHtml(command)}</code>`).join('')}
+      ${account.signup ? `<span class="trust-field">signup page ${escapeHtml(account.signup)}</span>` : ''}
+    </li>`);
+
+  document.getElementById('trust-commands').innerHTML = environmentEntry + configItems(config).map(item => `
+    <li>
+      <span class="trust-item-name">${escapeHtml(item.name)}</span>
+      ${itemCommands(item).map(([field, command]) => `
+        <span class="trust-field">${field}</span>
+        <code class="plan-step-command">${escapeHtml(command)}</code>`).join('')}
+    </li>`).join('') + fileEntries.join('') + settingEntries.join('') + projectEntries.join('') + accountEntries.join('');
+
+  const unknown = config.provenance.filter(entry => entry.status === 'unknown-publisher');
+  const publisherBtn = document.getElementById('trust-publisher-btn');
+  publisherBtn.style.display = unknown.length > 0 ? '' : 'none';
+  publisherBtn.textContent = `Always trust ${[...new Set(unknown.map(entry => entry.publisher))].join(', ')}`;
+
+  document.getElementById('trust-modal').style.display = 'flex';
+  return new Promise(resolve => {
+    pendingTrust = { config, resolve };
+  });
+}
+
+// Approve this version of the config, and optionally its signers for good
+async function acceptTrust(trustPublishers) {
+  const { config, resolve } = pendingTrust;
+  const approved = await window.onboard.approveConfig(config.digest, trustPublishers);
+  hideTrustModal();
+  resolve(approved);
+}
+
+function rejectTrust() {
+  const { resolve } = pendingTrust;
+  hideTrustModal();
+  resolve(false);
+}
+
+function hideTrustModal() {
+  document.getElementById('trust-modal').style.display = 'none';
+  pendingTrust = null;
+}
+
+// ─── Shell Profile Modal ───────────────────────────────────────────
+
+// Lines that post_install steps added to the user's shell profile, in a
+// block the app owns and can take out again
+async function showProfileModal() {
+  renderProfile(await window.onboard.readShellProfile());
+  document.getElementById('profile-modal').style.display = 'flex';
+}
+
+function renderProfile({ file, entries }) {
+  document.getElementById('profile-summary').textContent = entries.length > 0
+    ? `Installs added these lines to ${formatPath(file)}. Uninstalling an item removes its lines; "Remove all" takes out the whole block and leaves the rest of the file as it was.`
+    : `Nothing has been added to ${formatPath(file)}. Items can add lines with post_install steps.`;
+  document.getElementById('profile-entries').innerHTML = entries.map(entry => {
+    const item = currentConfig && configItems(currentConfig).find(i => i.id === entry.id);
+    return `
+    <li>
+      <span class="trust-item-name">${escapeHtml(item?.name || entry.id)}</span>
+      ${entry.lines.map(line => `<code class="plan-step-command">${escapeHtml(line)}</code>`).join('')}
+    </li>`;
+  }).join('');
+  document.getElementById('profile-remove-btn').style.display = entries.length > 0 ? '' : 'none';
+}
+
+async function removeProfileBlock() {
+  const result = await window.onboard.removeShellProfileBlock();
+  if (result.error) {
+    showError('Could not update your shell profile', result.error);
+    return;
+  }
+  renderProfile(result);
+  setStatus(`Removed onboard.computer's lines from ${formatPath(result.file)}`);
+}
+
+function hideProfileModal() {
+  document.getElementById('profile-modal').style.display = 'none';
+}
+
+// ─── Rollback Modal ────────────────────────────────────────────────
+
+let pendingRollback = null;  // Items to uninstall, children before parents
+
+function showRollbackModal(failedItem, installedItems) {
+  pendingRollback = resolveOrder(currentConfig)
+    .filter(item => installedItems.includes(item))
+    .reverse();
+
+  const revertible = pendingRollback.filter(item => item.uninstall);
+  const stuck = pendingRollback.filter(item => !item.uninstall);
+
+  document.getElementById('rollback-failed-name').textContent = failedItem.name;
+  document.getElementById('rollback-list').innerHTML = revertible.map(item => `<li>${escapeHtml(item.name)}</li>`).join('');
+  document.getElementById('rollback-stuck').textContent = stuck.length > 0
+    ? `No uninstall command, will stay installed: ${stuck.map(item => item.name).join(', ')}`
+    : '';
+  document.getElementById('rollback-confirm-btn').disabled = revertible.length === 0;
+  document.getElementById('rollback-modal').style.display = 'flex';
+}
+
+function hideRollbackModal() {
+  document.getElementById('rollback-modal').style.display = 'none';
+  pendingRollback = null;
+}
+
+// Uninstall in reverse dependency order, stopping at the first failure so
+// nothing is removed from under an item that's still installed.
+async function confirmRollback() {
+  const items = pendingRollback.filter(item => item.uninstall);
+  hideRollbackModal();
+
+  const stoppedAt = await inBatch(async () => {
+    for (const item of items) {
+      const uninstall = currentConfig.apps.includes(item) ? doUninstallApp : doUninstallTool;
+      if (!(await uninstall(item.id))) return item;
+    }
+    return null;
+  });
+  if (stoppedAt) {
+    queueStatus(`Rollback stopped at ${stoppedAt.name}`);
+    return;
+  }
+  queueStatus(`Rolled back ${items.length} item${items.length === 1 ? '' : 's'}`);
+}
+
+// ─── Install Plan ──────────────────────────────────────────────────
+
+function showPlanModal() {
+  const { steps, skipped } = buildPlan(currentConfig, isInstalled);
+  const stillChecking = configItems(currentConfig)
+    .some(item => (toolStates[item.id] || appStates[item.id])?.status === 'checking');
+
+  let summary = steps.length === 0
+    ? 'Everything in this config is already installed.'
+    : `Installing everything would run ${steps.length} command${steps.length === 1 ? '' : 's'}, in this order:`;
+  if (stillChecking) summary += ' Some checks are still running, so this may change.';
+  document.getElementById('plan-summary').textContent = summary;
+
+  document.getElementById('plan-steps').innerHTML = steps.map(({ item, waitsFor }) => `<li>
+      <div class="plan-step-name">${escapeHtml(item.name)}${waitsFor.length > 0 ? `<span class="plan-step-after">after ${escapeHtml(waitsFor.join(', '))}</span>` : ''}</div>
+      <code class="plan-step-command">${escapeHtml(item.install)}</code>
+    </li>`).join('');
+
+  document.getElementById('plan-skipped').textContent = skipped.length > 0
+    ? `Skipped, already installed: ${skipped.map(item => item.name).join(', ')}`
+    : '';
+  document.getElementById('plan-export-btn').disabled = steps.length === 0;
+  document.getElementById('plan-modal').style.display = 'flex';
+}
+
+function hidePlanModal() {
+  document.getElementById('plan-modal').style.display = 'none';
+}
+
+async function exportPlanScript() {
+  const script = planScript(currentConfig, buildPlan(currentConfig, isInstalled));
+  const slug = currentConfig.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const savedPath = await window.onboard.saveFileDialog(`${slug || 'onboard'}-install-plan.sh`, script);
+  if (savedPath) {
+    hidePlanModal();
+    queueStatus(`Saved plan to ${formatPath(savedPath)}`);
+  }
+}
+
 // ─── Activity Log Popup ────────────────────────────────────────────
 
+let historySearchTimeout = null;
+
 function toggleActivityLog() {
   const popup = document.getElementById('activity-log-popup');
   if (!popup) return;
@@ -1321,33 +2299,76 @@ function toggleActivityLog() {
   } else {
     renderActivityLog();
     popup.style.display = 'block';
+    document.getElementById('activity-log-search').focus();
   }
 }
 
-function renderActivityLog() {
+// Debounced: searching reads the output of every recorded run
+function searchActivityLog() {
+  clearTimeout(historySearchTimeout);
+  historySearchTimeout = setTimeout(renderActivityLog, 200);
+}
+
+async function renderActivityLog() {
   const list = document.getElementById('activity-log-list');
   if (!list) return;
 
-  if (activityLog.length === 0) {
-    list.innerHTML = '<li class="activity-empty">No activity yet</li>';
+  const query = document.getElementById('activity-log-search').value;
+  const entries = await window.onboard.getHistory(query);
+
+  if (entries.error) {
+    list.innerHTML = `<li class="activity-empty">${escapeHtml(entries.error)}</li>`;
+    return;
+  }
+  if (entries.length === 0) {
+    list.innerHTML = `<li class="activity-empty">${query ? 'No matches' : 'No activity yet'}</li>`;
     return;
   }
 
-  list.innerHTML = activityLog.map(entry => {
-    const timeAgo = getTimeAgo(entry.timestamp);
-    const icon = entry.action === 'installed' ? '↓' :
-                 entry.action === 'uninstalled' ? '✕' :
-                 entry.action === 'upgraded' ? '↑' : '!';
-    const className = entry.action === 'failed' ? 'failed' : '';
+  list.innerHTML = entries.map(entry => {
+    const timeAgo = getTimeAgo(new Date(entry.startedAt));
+    const icon = !entry.succeeded ? '!' :
+                 ['install', 'apply', 'clone'].includes(entry.action) ? '↓' :
+                 entry.action === 'uninstall' ? '✕' :
+                 entry.action === 'revert' ? '↺' : '↑';
+    const className = entry.succeeded ? '' : 'failed';
+    const outcome = entry.cancelled ? ' (cancelled)' : entry.succeeded ? '' : ` (exit ${entry.exitCode})`;
 
-    return `<li class="${className}">
+    return `<li class="${className}" onclick="showHistoryEntry('${entry.id}')" title="${escapeHtml(entry.command)}">
       <span class="activity-icon">${icon}</span>
-      <span class="activity-text">${entry.action} ${entry.name}${entry.version ? ' v' + entry.version : ''}</span>
+      <span class="activity-text">${entry.action} ${escapeHtml(entry.name)}${outcome}</span>
       <span class="activity-time">${timeAgo}</span>
     </li>`;
   }).join('');
 }
 
+// ─── History Entry Modal ───────────────────────────────────────────
+
+async function showHistoryEntry(id) {
+  const query = document.getElementById('activity-log-search').value;
+  const entry = (await window.onboard.getHistory(query)).find(e => e.id === id);
+  if (!entry) return;
+  const output = await window.onboard.getHistoryOutput(id);
+
+  const outcome = entry.cancelled ? 'cancelled' : `exit code ${entry.exitCode}`;
+  document.getElementById('history-entry-title').textContent = `${entry.action} ${entry.name}`;
+  document.getElementById('history-entry-meta').textContent =
+    `${new Date(entry.startedAt).toLocaleString()} · ${formatDuration(entry.durationMs)} · ${outcome}`;
+  document.getElementById('history-entry-command').textContent = entry.command;
+  document.getElementById('history-entry-output').textContent = output || '(no output)';
+  document.getElementById('history-entry-modal').style.display = 'flex';
+}
+
+function hideHistoryEntry() {
+  document.getElementById('history-entry-modal').style.display = 'none';
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
 function getTimeAgo(date) {
   const seconds = Math.floor((new Date() - date) / 1000);
   if (seconds < 60) return 'just now';
@@ -1457,6 +2478,19 @@ async function initAsciiAnimation() {
   }
 }
 
+// ─── Icons ─────────────────────────────────────────────────────────
+
+// Replace an icon image that fails to load with its emoji. Image errors
+// don't bubble, so this listens in the capture phase.
+function initIconFallbacks() {
+  document.addEventListener('error', (e) => {
+    const img = e.target;
+    if (img.tagName === 'IMG' && img.dataset.fallback !== undefined) {
+      img.parentElement.textContent = img.dataset.fallback;
+    }
+  }, true);
+}
+
 // ─── Drag and Drop ─────────────────────────────────────────────────
 
 function initDragDrop() {
@@ -1502,6 +2536,11 @@ function initStreamCallback() {
     }
   });
 
+  // Commands that need sudo ask for the password once per session
+  window.onboard.onPasswordPrompt((id) => {
+    showPasswordModal(id);
+  });
+
   // Listen for terminal window close events
   window.onboard.onTerminalWindowClosed((id) => {
     onTerminalWindowClosed(id);
@@ -1511,6 +2550,7 @@ function initStreamCallback() {
 async function init() {
   initTheme();
   initDragDrop();
+  initIconFallbacks();
   initUpdater();
   initStreamCallback();
   initAsciiAnimation();
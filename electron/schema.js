@@ -0,0 +1,164 @@
+// schema.js — Parsing, migration and JSON Schema validation for .onboard files.
+// Errors point at the line and column of the offending YAML node.
+
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const schema = require('./onboard.schema.json');
+
+const CURRENT_SCHEMA_VERSION = 2;
+
+// Upgrades keyed by the version they upgrade *from*. Each takes a config at
+// version N and returns it at version N + 1. When the format changes, bump
+// CURRENT_SCHEMA_VERSION, add a step here and update onboard.schema.json.
+const MIGRATIONS = {
+  // 2 made `version` a version range; the command that prints the
+  // installed version moved to `version_command`.
+  1: (config) => {
+    ['dependencies', 'apps'].forEach(section => {
+      (Array.isArray(config[section]) ? config[section] : []).forEach(item => {
+        if (item && typeof item === 'object' && 'version' in item) {
+          item.version_command = item.version;
+          delete item.version;
+        }
+      });
+    });
+    return config;
+  },
+};
+
+const ajv = new Ajv({ allowUnionTypes: true });
+
+// A finished config must have every required field. A single layer of a
+// composed config (a parent, a fragment, a child of `extends`) may leave
+// them to other layers, so it's only checked for shape.
+const validate = ajv.compile(schema);
+const { if: _if, then: _then, else: _else, ...layerSchema } = schema;
+const validateLayer = ajv.compile({ ...layerSchema, $id: `${schema.$id}#layer` });
+
+// Fields the loader adds to entries — the file that defined them, and the
+// text of file sources it read. They aren't part of the format, so they're
+// left out when a loaded config is checked against the closed schema.
+const LOADER_FIELDS = ['origin', 'source_base', 'source_text', 'source_path'];
+const SECTIONS = ['dependencies', 'apps', 'files', 'settings', 'workspace', 'accounts'];
+
+// Parse YAML while recording where every node starts. Returns the data
+// plus locate(path), which maps a path like ['dependencies', 0, 'check']
+// to the closest { line, column } it can find (both 1-based).
+function parseYaml(content) {
+  const root = { children: [] };
+  const stack = [root];
+
+  const data = yaml.load(content, {
+    listener(event, state) {
+      if (event === 'open') {
+        stack.push({ line: state.line + 1, column: state.position - state.lineStart + 1, children: [] });
+      } else {
+        const node = stack.pop();
+        node.kind = state.kind;
+        node.result = state.result;
+        stack[stack.length - 1].children.push(node);
+      }
+    },
+  });
+
+  const locate = (path) => {
+    let node = root.children[0];
+    if (!node) return null;
+    let found = node;
+
+    for (const segment of path) {
+      if (node.kind === 'mapping') {
+        const keyIndex = node.children.findIndex((child, i) => i % 2 === 0 && String(child.result) === String(segment));
+        if (keyIndex === -1) break;
+        found = node.children[keyIndex];
+        node = node.children[keyIndex + 1];
+      } else if (node.kind === 'sequence') {
+        node = node.children[Number(segment)];
+        if (!node) break;
+        found = node;
+      } else {
+        break;
+      }
+    }
+
+    return { line: found.line, column: found.column };
+  };
+
+  return { data, locate };
+}
+
+// Bring a config written for an older schema_version up to the current one.
+function migrate(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Invalid config: not an object');
+  }
+
+  let version = config.schema_version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error('"schema_version" must be a positive integer');
+  }
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Config uses schema_version ${version}, but this app only understands up to ${CURRENT_SCHEMA_VERSION}. Update onboard.computer to open it.`);
+  }
+
+  while (version < CURRENT_SCHEMA_VERSION) {
+    config = MIGRATIONS[version](config);
+    version++;
+  }
+  config.schema_version = version;
+  return config;
+}
+
+// Describe a JSON pointer like /dependencies/2/check, naming the item by id
+// when there is one.
+function describePath(config, segments) {
+  const [section, index, ...rest] = segments;
+  const item = config[section]?.[index];
+  if (item?.id && SECTIONS.includes(section)) {
+    const kind = { files: 'File', settings: 'Setting', workspace: 'Project', accounts: 'Account' }[section] || 'Item';
+    return rest.length > 0 ? `${kind} "${item.id}" field "${rest.join('.')}"` : `${kind} "${item.id}"`;
+  }
+  return segments.length > 0 ? `"${segments.join('.')}"` : 'Config';
+}
+
+function throwFirstError(validator, config, locate) {
+  const error = validator.errors[0];
+  const segments = error.instancePath.split('/').slice(1).map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const position = locate(segments);
+  const file = position?.file ? ` of ${position.file}` : '';
+  const where = position ? ` (line ${position.line}, column ${position.column}${file})` : '';
+  const message = error.keyword === 'additionalProperties'
+    ? `has unknown field "${error.params.additionalProperty}"`
+    : error.message;
+  const err = new Error(`${describePath(config, segments)} ${message}${where}`);
+  err.position = position;
+  throw err;
+}
+
+// A shallow copy of the config without LOADER_FIELDS; entries keep their index.
+function withoutLoaderFields(config) {
+  const copy = { ...config };
+  SECTIONS.forEach(section => {
+    if (!Array.isArray(config[section])) return;
+    copy[section] = config[section].map(item => {
+      if (!item || typeof item !== 'object') return item;
+      const rest = { ...item };
+      LOADER_FIELDS.forEach(field => delete rest[field]);
+      return rest;
+    });
+  });
+  return copy;
+}
+
+// Validate against onboard.schema.json. Throws the first error with its position.
+function checkSchema(config, locate) {
+  const checked = withoutLoaderFields(config);
+  if (!validate(checked)) throwFirstError(validate, checked, locate);
+}
+
+// Validate one file of a composed config, before it's merged with the others.
+function checkLayer(layer, locate) {
+  if (!validateLayer(layer)) throwFirstError(validateLayer, layer, locate);
+}
+
+module.exports = { CURRENT_SCHEMA_VERSION, parseYaml, migrate, checkSchema, checkLayer };
@@ -0,0 +1,122 @@
+// semver.js — Version ranges for the `version` field of config items.
+// Loaded by the main process and CLI (validation, checks) and by the
+// renderer via a <script> tag (card states), so it stays free of Node and
+// DOM APIs.
+//
+// Ranges follow npm's syntax: comparators separated by spaces must all
+// hold, alternatives are separated by ||.
+//
+//   20            any 20.x.y            >=20 <23      20.0.0 up to 22.x
+//   20.11.0       exactly that          ^3.10         3.10 up to 3.x
+//   ~1.22         1.22.x                1.2 - 1.4     1.2.0 up to 1.4.x
+//   *             anything
+
+// Pulls the version out of a command's output when the item has no
+// version_pattern: the first run of digits and dots.
+const DEFAULT_VERSION_PATTERN = '\\d+(?:\\.\\d+)+|\\d+';
+
+// "1.2.3" → [1, 2, 3]; missing parts (x, *, or absent) are null
+function parseVersion(text) {
+  const match = String(text).trim().match(/^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:[-+].*)?$/);
+  if (!match) return null;
+  return match.slice(1, 4).map(part => (part === undefined || /[xX*]/.test(part) ? null : Number(part)));
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// The upper bound (exclusive) of a partial version: 20 → 21.0.0, 1.22 → 1.23.0
+function bumpPartial(parts) {
+  const known = parts.findIndex(part => part === null);
+  if (known === 0) return null;  // *, no upper bound
+  if (known === -1) return null;  // Full version, no bump
+  const next = parts.slice(0, known);
+  next[known - 1]++;
+  return [...next, ...Array(3 - known).fill(0)];
+}
+
+// One comparator like ">=20" or "^3.10" as a list of [op, version] bounds
+function parseComparator(text) {
+  const match = text.match(/^(>=|<=|>|<|=|\^|~)?\s*(.+)$/);
+  const parts = match && parseVersion(match[2]);
+  if (!parts) throw new Error(`"${text}" is not a version`);
+  const op = match[1] || '=';
+  const floor = parts.map(part => part || 0);
+  const upper = bumpPartial(parts);
+
+  switch (op) {
+    case '=':
+      if (parts[0] === null) return [];
+      return upper ? [['>=', floor], ['<', upper]] : [['=', floor]];
+    case '>=':
+    case '<':
+      return [[op, floor]];
+    case '>':
+      return upper ? [['>=', upper]] : [['>', floor]];
+    case '<=':
+      return upper ? [['<', upper]] : [['<=', floor]];
+    case '^': {
+      // Up to the next change in the first non-zero part
+      const lead = floor.findIndex((part, i) => part !== 0 || parts[i + 1] === null || i === 2);
+      const ceiling = floor.slice(0, lead + 1);
+      ceiling[lead]++;
+      return [['>=', floor], ['<', [...ceiling, 0, 0].slice(0, 3)]];
+    }
+    case '~': {
+      const ceiling = parts[1] === null ? [floor[0] + 1, 0, 0] : [floor[0], floor[1] + 1, 0];
+      return [['>=', floor], ['<', ceiling]];
+    }
+  }
+  return [];
+}
+
+// Parse a range into alternatives, each a list of bounds. Throws on
+// anything that isn't a range.
+function parseRange(range) {
+  return String(range).split('||').map(alternative => {
+    const text = alternative.trim().replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1');
+    const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+    if (hyphen) {
+      return [...parseComparator(`>=${hyphen[1]}`), ...parseComparator(`<=${hyphen[2]}`)];
+    }
+    if (text === '') return [];
+    return text.split(/\s+/).flatMap(parseComparator);
+  });
+}
+
+function satisfiesBound(version, [op, bound]) {
+  const diff = compareVersions(version, bound);
+  switch (op) {
+    case '>=': return diff >= 0;
+    case '>': return diff > 0;
+    case '<=': return diff <= 0;
+    case '<': return diff < 0;
+    default: return diff === 0;
+  }
+}
+
+// Whether `version` (as printed, e.g. "v20.11.1") is in `range`. Returns
+// null when the version can't be read.
+function satisfies(version, range) {
+  const parts = parseVersion(String(version).match(/\d+(?:\.\d+)*/)?.[0] || '');
+  if (!parts) return null;
+  const full = parts.map(part => part || 0);
+  return parseRange(range).some(bounds => bounds.every(bound => satisfiesBound(full, bound)));
+}
+
+// The version in a command's output, using the item's version_pattern
+// (its first capture group, or the whole match) or the default.
+function extractVersion(output, pattern) {
+  const match = String(output).match(new RegExp(pattern || DEFAULT_VERSION_PATTERN));
+  if (!match) return null;
+  return (match[1] ?? match[0]).trim() || null;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { DEFAULT_VERSION_PATTERN, parseRange, satisfies, extractVersion };
+}
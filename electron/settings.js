@@ -0,0 +1,276 @@
+// settings.js — The `settings` section: macOS preferences written with
+// `defaults`, shared by the main process and the CLI.
+//
+//   settings:
+//     - id: key-repeat
+//       name: Fast key repeat
+//       domain: NSGlobalDomain
+//       key: KeyRepeat
+//       type: int                  # bool, int, float or string
+//       value: 2
+//     - id: finder-hidden-files
+//       domain: com.apple.finder
+//       key: AppleShowAllFiles
+//       type: bool
+//       value: true
+//       restart: Finder            # app to restart so it picks the change up
+//
+// Settings are read back to show which are applied, and applied and
+// reverted as a batch. The first time the app changes a key, the value it
+// had is saved in <dataDir>/settings-backup.json, so reverting puts back
+// what the user had before, not some default.
+//
+// Setting ONBOARD_DEFAULTS to a JSON file swaps `defaults` for a fake that
+// keeps { domain: { key: { type, value } } } in that file, so settings can
+// be tried out on Linux and in CI.
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { shellQuote } = require('./policy');
+
+// What `defaults read-type` prints, as setting types
+const DEFAULTS_TYPES = { boolean: 'bool', integer: 'int', float: 'float', string: 'string' };
+
+// String values can start with ~/, which `defaults` wouldn't expand
+function settingValue(setting) {
+  if (setting.type === 'string') return String(setting.value).replace(/^~(?=\/|$)/, os.homedir());
+  return setting.value;
+}
+
+function sameValue(type, a, b) {
+  if (type === 'float') return Math.abs(Number(a) - Number(b)) < 1e-9;
+  return a === b;
+}
+
+// How a value reads on a card
+function displayValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// ─── Backends ──────────────────────────────────────────────────────
+
+// Each backend reads a setting's key as { type, value } (type is 'other'
+// for arrays, dictionaries and the like), or null when it isn't set, and
+// writes or deletes it. Failures throw.
+
+// The real one: the defaults command, run with `run(command)`
+function defaultsBackend(run) {
+  const host = (setting) => (setting.current_host ? '-currentHost ' : '');
+  const address = (setting) => `${shellQuote(setting.domain)} ${shellQuote(setting.key)}`;
+  const runOrThrow = async (command) => {
+    const result = await run(command);
+    if (!result.succeeded) throw new Error((result.stderr || `${command} failed`).trim());
+    return result;
+  };
+
+  return {
+    name: 'defaults',
+    async read(setting) {
+      const result = await run(`defaults ${host(setting)}read-type ${address(setting)} && defaults ${host(setting)}read ${address(setting)}`);
+      if (!result.succeeded) {
+        // Missing keys and domains are the usual reason
+        if (/does not exist/.test(result.stderr)) return null;
+        throw new Error((result.stderr || 'defaults failed').trim());
+      }
+      const [typeLine, ...rest] = result.stdout.split('\n');
+      const type = DEFAULTS_TYPES[typeLine.replace(/^Type is /, '').trim()] || 'other';
+      const text = rest.join('\n');
+      if (type === 'bool') return { type, value: text.trim() === '1' };
+      if (type === 'int' || type === 'float') return { type, value: Number(text) };
+      return { type, value: text };
+    },
+    async write(setting, type, value) {
+      await runOrThrow(`defaults ${host(setting)}write ${address(setting)} -${type} ${shellQuote(String(value))}`);
+    },
+    async delete(setting) {
+      await runOrThrow(`defaults ${host(setting)}delete ${address(setting)}`);
+    },
+    // Apps reload their preferences when they start again. Not running is fine.
+    async restart(app) {
+      await run(`killall ${shellQuote(app)} 2>/dev/null || true`);
+    },
+  };
+}
+
+// A JSON file standing in for the preferences system
+function fakeBackend(file) {
+  const load = () => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return {};
+    }
+  };
+  const save = (data) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+  };
+  const domainOf = (setting) => (setting.current_host ? `${setting.domain} (currentHost)` : setting.domain);
+
+  return {
+    name: `fake defaults in ${file}`,
+    async read(setting) {
+      return load()[domainOf(setting)]?.[setting.key] ?? null;
+    },
+    async write(setting, type, value) {
+      const data = load();
+      data[domainOf(setting)] = { ...data[domainOf(setting)], [setting.key]: { type, value } };
+      save(data);
+    },
+    async delete(setting) {
+      const data = load();
+      delete data[domainOf(setting)]?.[setting.key];
+      save(data);
+    },
+    async restart() {},
+  };
+}
+
+function settingsBackend(run) {
+  return process.env.ONBOARD_DEFAULTS ? fakeBackend(process.env.ONBOARD_DEFAULTS) : defaultsBackend(run);
+}
+
+// ─── Saved Values ──────────────────────────────────────────────────
+
+function backupPath(dataDir) {
+  return path.join(dataDir, 'settings-backup.json');
+}
+
+function backupKey(setting) {
+  return `${setting.current_host ? '-currentHost ' : ''}${setting.domain} ${setting.key}`;
+}
+
+// What each key held before the app first changed it: { previous } with
+// { type, value }, or null when it wasn't set
+function readBackup(dataDir) {
+  try {
+    return JSON.parse(fs.readFileSync(backupPath(dataDir), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+function writeBackup(dataDir, backup) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(backupPath(dataDir), JSON.stringify(backup, null, 2) + '\n');
+}
+
+// ─── Status ────────────────────────────────────────────────────────
+
+// Where each setting stands: { id, state, current, saved } with state
+// 'applied', 'unapplied' or 'error' (with `error`). `current` is the value
+// now, for display; `saved` says there's an earlier value to revert to.
+async function settingsStatus(settings, { dataDir, run }) {
+  const backend = settingsBackend(run);
+  const backup = readBackup(dataDir);
+  return Promise.all(settings.map(async setting => {
+    const saved = Object.hasOwn(backup, backupKey(setting));
+    try {
+      const current = await backend.read(setting);
+      const applied = current !== null && current.type === setting.type
+        && sameValue(setting.type, current.value, settingValue(setting));
+      return {
+        id: setting.id,
+        state: applied ? 'applied' : 'unapplied',
+        current: current === null ? null : displayValue(current.value),
+        saved,
+      };
+    } catch (err) {
+      return { id: setting.id, state: 'error', error: err.message, saved };
+    }
+  }));
+}
+
+// ─── Applying and Reverting ────────────────────────────────────────
+
+// Restart each app the changed settings name, once
+async function restartApps(backend, settings, log) {
+  const apps = [...new Set(settings.map(setting => setting.restart).filter(Boolean))];
+  for (const app of apps) {
+    await backend.restart(app);
+    log(`Restarted ${app}`);
+  }
+}
+
+// Write every setting that isn't applied yet, saving the value each key had
+// the first time. A key holding an array, dictionary or the like is left
+// alone, since that value couldn't be put back.
+// Resolves to { changed, failed: [{ id, error }], output }.
+async function applySettings(settings, { dataDir, run }) {
+  const backend = settingsBackend(run);
+  const backup = readBackup(dataDir);
+  const lines = [];
+  const changed = [];
+  const failed = [];
+
+  for (const setting of settings) {
+    try {
+      const current = await backend.read(setting);
+      const value = settingValue(setting);
+      if (current !== null && current.type === setting.type && sameValue(setting.type, current.value, value)) continue;
+      if (current?.type === 'other') {
+        throw new Error(`the current value isn't a plain bool, int, float or string, so it couldn't be put back; left as it is`);
+      }
+
+      if (!Object.hasOwn(backup, backupKey(setting))) {
+        backup[backupKey(setting)] = { previous: current };
+        writeBackup(dataDir, backup);
+      }
+      await backend.write(setting, setting.type, value);
+      changed.push(setting);
+      lines.push(`${setting.domain} ${setting.key}: ${current === null ? '(not set)' : displayValue(current.value)} → ${displayValue(value)}`);
+    } catch (err) {
+      failed.push({ id: setting.id, error: err.message });
+      lines.push(`${setting.domain} ${setting.key}: ${err.message}`);
+    }
+  }
+
+  await restartApps(backend, changed, line => lines.push(line));
+  return { changed: changed.map(setting => setting.id), failed, output: lines.join('\n') };
+}
+
+// Put back the values the keys had before the app changed them, for every
+// setting with one saved. Keys that weren't set are deleted again.
+// Resolves to { reverted, failed: [{ id, error }], output }.
+async function revertSettings(settings, { dataDir, run }) {
+  const backend = settingsBackend(run);
+  const backup = readBackup(dataDir);
+  const lines = [];
+  const reverted = [];
+  const failed = [];
+
+  for (const setting of settings) {
+    const key = backupKey(setting);
+    if (!Object.hasOwn(backup, key)) continue;
+    const { previous } = backup[key];
+    try {
+      if (previous === null) {
+        await backend.delete(setting);
+      } else if (previous.type === 'other') {
+        throw new Error(`the earlier value isn't a plain bool, int, float or string, so it can't be put back`);
+      } else {
+        await backend.write(setting, previous.type, previous.value);
+      }
+      delete backup[key];
+      writeBackup(dataDir, backup);
+      reverted.push(setting);
+      lines.push(`${setting.domain} ${setting.key}: ${previous === null ? '(not set)' : displayValue(previous.value)}`);
+    } catch (err) {
+      failed.push({ id: setting.id, error: err.message });
+      lines.push(`${setting.domain} ${setting.key}: ${err.message}`);
+    }
+  }
+
+  await restartApps(backend, reverted, line => lines.push(line));
+  return { reverted: reverted.map(setting => setting.id), failed, output: lines.join('\n') };
+}
+
+// A setting as the defaults command that applies it, for the install
+// history and plans
+function describeSetting(setting) {
+  const host = setting.current_host ? '-currentHost ' : '';
+  return `defaults ${host}write ${setting.domain} ${setting.key} -${setting.type} ${displayValue(setting.value)}`;
+}
+
+module.exports = { settingsBackend, settingsStatus, applySettings, revertSettings, describeSetting };
@@ -0,0 +1,343 @@
+// shell.js — Shell execution shared by the main process and the CLI.
+// Every command runs through /bin/bash in the environment of the user's
+// login shell, captured once and again after each install, so checks see
+// what a new Terminal window would. The usual install locations (Homebrew,
+// ~/.local/bin, ~/.cargo/bin, ...) and the runtimes selected with mise,
+// asdf, pyenv, rbenv and nvm are added in case the shell setup misses them.
+
+const { exec, spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const pty = require('node-pty');
+
+// sudo shows this prompt (via SUDO_PROMPT) in commands run by ptyCommand,
+// so the app can recognise a password request and answer it.
+const SUDO_PROMPT = '[sudo] password for %u: ';
+const SUDO_PROMPT_PATTERN = /\[sudo\] password for [^\n]*: $/;
+
+// Compare version strings like "v20.11.0" part by part
+function compareVersionNames(a, b) {
+  const pa = a.replace(/^v/, '').split('.').map(Number);
+  const pb = b.replace(/^v/, '').split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// The bin directory of nvm's default Node.js, the one a new Terminal gets.
+// Follows aliases (default → lts/* → lts/iron → v20.11.0) and picks the
+// newest installed version matching the result.
+function nvmDefaultBin(homeDir) {
+  const nvmDir = process.env.NVM_DIR || `${homeDir}/.nvm`;
+  let installed;
+  try {
+    installed = fs.readdirSync(path.join(nvmDir, 'versions', 'node'));
+  } catch {
+    return null;
+  }
+
+  let alias = 'default';
+  for (let hops = 0; hops < 10; hops++) {
+    try {
+      alias = fs.readFileSync(path.join(nvmDir, 'alias', alias), 'utf8').trim();
+    } catch {
+      break;
+    }
+  }
+
+  const wanted = alias.replace(/^v/, '');
+  const matches = ['node', 'stable'].includes(wanted)
+    ? installed
+    : installed.filter(name => name === `v${wanted}` || name.startsWith(`v${wanted}.`));
+  const newest = matches.sort(compareVersionNames).pop();
+  return newest ? path.join(nvmDir, 'versions', 'node', newest, 'bin') : null;
+}
+
+// Shims of the runtime version managers the user has, ahead of everything
+// else, as their shell setup would put them
+function versionManagerPaths(homeDir) {
+  const env = process.env;
+  return [
+    `${env.MISE_DATA_DIR || `${homeDir}/.local/share/mise`}/shims`,
+    `${env.ASDF_DATA_DIR || `${homeDir}/.asdf`}/shims`,
+    `${env.PYENV_ROOT || `${homeDir}/.pyenv`}/shims`,
+    `${env.PYENV_ROOT || `${homeDir}/.pyenv`}/bin`,
+    `${env.RBENV_ROOT || `${homeDir}/.rbenv`}/shims`,
+    `${env.RBENV_ROOT || `${homeDir}/.rbenv`}/bin`,
+    nvmDefaultBin(homeDir),
+  ].filter(dir => dir && fs.existsSync(dir));
+}
+
+// ─── Login Environment ─────────────────────────────────────────────
+
+const LOGIN_ENV_TIMEOUT = 10000;
+const LOGIN_ENV_MARKER = '__ONBOARD_ENV__';
+
+// The login shell's environment, or null until it's captured (or if the
+// shell can't be run)
+let loginEnv = null;
+let loginEnvCapture = null;
+
+// `env` and `path` from the loaded config
+let configEnv = { env: {}, path: [] };
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// The user's shell, which profile lines are written for
+function loginShell() {
+  return process.env.SHELL || (process.platform === 'darwin' ? '/bin/zsh' : '/bin/bash');
+}
+
+// Terminal windows on Linux start bash as a plain interactive shell, which
+// reads ~/.bashrc; everywhere else they start a login shell
+function loginShellFlags(shell) {
+  return path.basename(shell) === 'bash' && process.platform !== 'darwin' ? ['-i'] : ['-l', '-i'];
+}
+
+// Run the user's shell as a new Terminal window would, so zsh, bash and
+// fish read their rc files, and have it print its environment as JSON,
+// between markers in case an rc file prints too. Resolves to the
+// environment, or null.
+function captureLoginEnv() {
+  const shell = loginShell();
+  const print = `console.log("${LOGIN_ENV_MARKER}" + JSON.stringify(process.env) + "${LOGIN_ENV_MARKER}")`;
+  const command = `${shellQuote(process.execPath)} -e ${shellQuote(print)}`;
+
+  return new Promise((resolve) => {
+    let child;
+    try {
+      // Its own process group, so a shell stuck on a prompt can be killed whole
+      child = spawn(shell, [...loginShellFlags(shell), '-c', command], {
+        env: { ...process.env, ELECTRON_RUN_AS_NODE: '1' },
+        stdio: ['ignore', 'pipe', 'ignore'],
+        detached: true,
+      });
+    } catch {
+      resolve(null);
+      return;
+    }
+
+    let stdout = '';
+    const timer = setTimeout(() => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        // Already gone
+      }
+    }, LOGIN_ENV_TIMEOUT);
+
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    child.on('error', () => {
+      clearTimeout(timer);
+      resolve(null);
+    });
+    child.on('close', () => {
+      clearTimeout(timer);
+      const [, json] = stdout.split(LOGIN_ENV_MARKER);
+      try {
+        const env = JSON.parse(json);
+        delete env.ELECTRON_RUN_AS_NODE;
+        resolve(env);
+      } catch {
+        resolve(null);
+      }
+    });
+  });
+}
+
+// Capture the login environment again, for after an install that may have
+// changed the shell's rc files. Captures run one at a time; a failed one
+// keeps the previous environment.
+function refreshShellEnv() {
+  loginEnvCapture = (loginEnvCapture || Promise.resolve()).then(async () => {
+    const env = await captureLoginEnv();
+    if (env) loginEnv = env;
+  });
+  return loginEnvCapture;
+}
+
+// Resolves once the login environment has been captured the first time
+function shellEnvReady() {
+  return loginEnvCapture || refreshShellEnv();
+}
+
+// Which shell the environment comes from, and whether capturing it worked
+function loginShellStatus() {
+  return { shell: loginShell(), captured: loginEnv !== null };
+}
+
+// Use the `env` and `path` of a loaded config for every command after this
+function setConfigEnv(config) {
+  configEnv = { env: config?.env || {}, path: config?.path || [] };
+}
+
+// ~ and $NAME / ${NAME} in a config value, from the environment commands get
+function expandEnvValue(value, env) {
+  return String(value)
+    .replace(/^~(?=\/|$)/, os.homedir())
+    .replace(/\$(?:\{(\w+)\}|(\w+))/g, (_match, braced, bare) => env[braced || bare] || '');
+}
+
+function getShellEnv() {
+  const homeDir = os.homedir();
+  const base = loginEnv || process.env;
+  const fallbackPaths = [
+    ...versionManagerPaths(homeDir),
+    '/opt/homebrew/bin',
+    '/usr/local/bin',
+    '/usr/bin',
+    '/bin',
+    '/usr/sbin',
+    '/sbin',
+    `${homeDir}/.local/bin`,
+    `${homeDir}/.cargo/bin`,
+  ];
+  const shellPaths = (base.PATH || '').split(':');
+  const configPaths = configEnv.path.map(entry => expandEnvValue(entry, base));
+
+  // The login shell's PATH is what the user sees, so its order wins; the
+  // app's own PATH (often just /usr/bin:/bin when opened from Finder) goes last
+  const paths = loginEnv
+    ? [...configPaths, ...shellPaths, ...fallbackPaths]
+    : [...configPaths, ...fallbackPaths, ...shellPaths];
+
+  const env = { ...base };
+  Object.entries(configEnv.env).forEach(([name, value]) => {
+    env[name] = expandEnvValue(value, base);
+  });
+  env.PATH = [...new Set(paths.filter(Boolean))].join(':');
+  return env;
+}
+
+// ─── Running Commands ──────────────────────────────────────────────
+
+// Run a short command (checks, version lookups) and collect its output.
+async function runCommand(command) {
+  await shellEnvReady();
+  return new Promise((resolve) => {
+    exec(command, {
+      shell: '/bin/bash',
+      env: getShellEnv(),
+      timeout: 30000,
+    }, (error, stdout, stderr) => {
+      resolve({
+        stdout: stdout?.trim() || '',
+        stderr: stderr?.trim() || '',
+        exitCode: error ? error.code || 1 : 0,
+        succeeded: !error,
+      });
+    });
+  });
+}
+
+// Run a long-lived command (installs, clones) with no timeout, calling
+// onData(text, stream) for every chunk of output. Callers await
+// shellEnvReady() first. Returns the child so
+// callers can cancel it, and a promise for the final result. `cwd` is the
+// folder to run in (projects' setup commands run in their clone).
+function streamCommand(command, onData, { cwd } = {}) {
+  const child = spawn('/bin/bash', ['-c', command], {
+    env: getShellEnv(),
+    cwd,
+  });
+
+  let stdout = '';
+  let stderr = '';
+
+  const done = new Promise((resolve) => {
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+      onData(data.toString(), 'stdout');
+    });
+
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+      onData(data.toString(), 'stderr');
+    });
+
+    child.on('close', (code) => {
+      resolve({
+        stdout: stdout.trim(),
+        stderr: stderr.trim(),
+        exitCode: code,
+        succeeded: code === 0,
+      });
+    });
+
+    child.on('error', (err) => {
+      resolve({
+        stdout,
+        stderr: err.message,
+        exitCode: 1,
+        succeeded: false,
+      });
+    });
+  });
+
+  return { child, done };
+}
+
+// Run an interactive command (installs, upgrades) in a pseudo-terminal, so
+// prompts like sudo passwords, [y/N] and "Press RETURN" work. onData(text)
+// gets every chunk of output; write(text) sends keystrokes. A terminal has
+// a single output stream: the result's `stdout` is all of it, and `stderr`
+// its last lines, for error messages. Callers await shellEnvReady() first.
+// Takes the same `cwd` option as streamCommand.
+function ptyCommand(command, onData, { cwd } = {}) {
+  let proc;
+  try {
+    proc = pty.spawn('/bin/bash', ['-c', command], {
+      name: 'xterm-256color',
+      cols: 120,
+      rows: 30,
+      cwd,
+      env: { ...getShellEnv(), SUDO_PROMPT },
+    });
+  } catch (err) {
+    const failed = { stdout: '', stderr: err.message, exitCode: 1, succeeded: false };
+    return { write: () => {}, kill: () => {}, done: Promise.resolve(failed) };
+  }
+
+  let output = '';
+  const done = new Promise((resolve) => {
+    proc.onData((data) => {
+      output += data;
+      onData(data);
+    });
+
+    proc.onExit(({ exitCode }) => {
+      resolve({
+        stdout: output.trim(),
+        stderr: output.trim().split(/\r?\n/).slice(-20).join('\n'),
+        exitCode,
+        succeeded: exitCode === 0,
+      });
+    });
+  });
+
+  return {
+    write: (data) => proc.write(data),
+    kill: (signal) => proc.kill(signal),
+    done,
+  };
+}
+
+module.exports = {
+  SUDO_PROMPT_PATTERN,
+  getShellEnv,
+  shellEnvReady,
+  refreshShellEnv,
+  loginShell,
+  loginShellStatus,
+  setConfigEnv,
+  runCommand,
+  streamCommand,
+  ptyCommand,
+};
@@ -0,0 +1,31 @@
+// terminal-input.js — Keyboard input for running commands.
+// Loaded by index.html (inline terminals) and terminal.html (pop-out) via
+// a <script> tag. Installs run in a pseudo-terminal, so keys are sent the
+// way a terminal would send them.
+
+const SPECIAL_KEYS = {
+  Enter: '\r',
+  Backspace: '\x7f',
+  Tab: '\t',
+  Escape: '\x1b',
+  Delete: '\x1b[3~',
+  ArrowUp: '\x1b[A',
+  ArrowDown: '\x1b[B',
+  ArrowRight: '\x1b[C',
+  ArrowLeft: '\x1b[D',
+  Home: '\x1b[H',
+  End: '\x1b[F',
+};
+
+// The bytes a key press sends, or null for keys the app should handle
+// itself (Cmd shortcuts, lone modifiers).
+function keyToInput(event) {
+  if (event.metaKey) return null;
+  if (SPECIAL_KEYS[event.key]) return SPECIAL_KEYS[event.key];
+
+  // Ctrl+A..Ctrl+Z, e.g. Ctrl+C to interrupt, Ctrl+D for end of input
+  if (event.ctrlKey && /^[a-z]$/i.test(event.key)) {
+    return String.fromCharCode(event.key.toUpperCase().charCodeAt(0) - 64);
+  }
+  return event.key.length === 1 ? event.key : null;
+}
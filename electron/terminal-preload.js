@@ -6,4 +6,7 @@ contextBridge.exposeInMainWorld('terminalAPI', {
       callback(data, stream);
     });
   },
+
+  // Send keystrokes to the process this window shows.
+  sendInput: (data) => ipcRenderer.invoke('terminal:input', data),
 });
@@ -0,0 +1,310 @@
+// terminal-screen.js — Terminal emulation for command output.
+// Loaded by index.html (inline terminals) and terminal.html (pop-out) via
+// a <script> tag. Interprets what installers print to a terminal — SGR
+// colors, \r progress bars, cursor movement, erase — into lines of styled
+// text, and renders only the lines in view so scrollback can be large.
+
+const TERMINAL_SCROLLBACK = 10000;  // Lines kept per terminal
+const TERMINAL_ROWS = 30;           // Screen size, matching the pty in shell.js
+const TERMINAL_COLS = 120;
+
+// Standard and bright ANSI colors (30–37, 90–97)
+const ANSI_COLORS = [
+  '#6e7681', '#f85149', '#3fb950', '#d29922', '#58a6ff', '#bc8cff', '#39c5cf', '#b1bac4',
+  '#8b949e', '#ff7b72', '#56d364', '#e3b341', '#79c0ff', '#d2a8ff', '#56d4dd', '#f0f6fc',
+];
+
+// Color n of the xterm 256-color palette
+function xtermColor(n) {
+  if (n < 16) return ANSI_COLORS[n];
+  if (n >= 232) {
+    const level = 8 + (n - 232) * 10;
+    return `rgb(${level},${level},${level})`;
+  }
+  const steps = [0, 95, 135, 175, 215, 255];
+  const i = n - 16;
+  return `rgb(${steps[Math.floor(i / 36)]},${steps[Math.floor(i / 6) % 6]},${steps[i % 6]})`;
+}
+
+// Apply SGR parameters (the numbers in ESC[...m) to a style
+function applySgr(style, params) {
+  const next = { ...style };
+  for (let i = 0; i < params.length; i++) {
+    const p = params[i];
+    if (p === 0) Object.keys(next).forEach(key => delete next[key]);
+    else if (p === 1) next.bold = true;
+    else if (p === 2) next.dim = true;
+    else if (p === 3) next.italic = true;
+    else if (p === 4) next.underline = true;
+    else if (p === 7) next.inverse = true;
+    else if (p === 22) { delete next.bold; delete next.dim; }
+    else if (p === 23) delete next.italic;
+    else if (p === 24) delete next.underline;
+    else if (p === 27) delete next.inverse;
+    else if (p >= 30 && p <= 37) next.fg = ANSI_COLORS[p - 30];
+    else if (p >= 90 && p <= 97) next.fg = ANSI_COLORS[p - 90 + 8];
+    else if (p >= 40 && p <= 47) next.bg = ANSI_COLORS[p - 40];
+    else if (p >= 100 && p <= 107) next.bg = ANSI_COLORS[p - 100 + 8];
+    else if (p === 39) delete next.fg;
+    else if (p === 49) delete next.bg;
+    else if (p === 38 || p === 48) {
+      const key = p === 38 ? 'fg' : 'bg';
+      if (params[i + 1] === 5) {
+        next[key] = xtermColor(params[i + 2] || 0);
+        i += 2;
+      } else if (params[i + 1] === 2) {
+        next[key] = `rgb(${params[i + 2] || 0},${params[i + 3] || 0},${params[i + 4] || 0})`;
+        i += 4;
+      }
+    }
+  }
+  return next;
+}
+
+function styleToCss(style) {
+  const fg = style.inverse ? (style.bg || 'var(--bg-code, #0d1117)') : style.fg;
+  const bg = style.inverse ? (style.fg || 'currentColor') : style.bg;
+  const css = [];
+  if (fg) css.push(`color:${fg}`);
+  if (bg) css.push(`background:${bg}`);
+  if (style.bold) css.push('font-weight:600');
+  if (style.dim) css.push('opacity:0.7');
+  if (style.italic) css.push('font-style:italic');
+  if (style.underline) css.push('text-decoration:underline');
+  return css.join(';');
+}
+
+function escapeTerminalText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// A screen that output is written into. Each line holds its characters and,
+// per character, an index into a shared table of styles.
+function createTerminalScreen() {
+  const lines = [{ chars: [], styles: [] }];
+  const styles = [{}];          // Interned styles; 0 is the default
+  const styleIds = new Map([['{}', 0]]);
+  let style = {};
+  let styleId = 0;
+  let row = 0;
+  let col = 0;
+  let pending = '';             // Escape sequence split across writes
+
+  const internStyle = (next) => {
+    const key = JSON.stringify(next);
+    if (!styleIds.has(key)) {
+      styleIds.set(key, styles.length);
+      styles.push(next);
+    }
+    return styleIds.get(key);
+  };
+
+  const ensureRow = () => {
+    while (lines.length <= row) lines.push({ chars: [], styles: [] });
+    if (lines.length > TERMINAL_SCROLLBACK) {
+      const excess = lines.length - TERMINAL_SCROLLBACK;
+      lines.splice(0, excess);
+      row -= excess;
+    }
+  };
+
+  const put = (ch) => {
+    const line = lines[row];
+    while (line.chars.length < col) {
+      line.chars.push(' ');
+      line.styles.push(0);
+    }
+    line.chars[col] = ch;
+    line.styles[col] = styleId;
+    col++;
+  };
+
+  // Cursor addressing (ESC[row;colH) is relative to the visible screen,
+  // which is the last TERMINAL_ROWS lines.
+  const screenTop = () => Math.max(0, lines.length - TERMINAL_ROWS);
+
+  // Cursor movement stops at the edges of the screen, as in a real terminal
+  const screenRow = (r) => Math.min(r, screenTop() + TERMINAL_ROWS - 1);
+  const screenCol = (c) => Math.max(0, Math.min(c, TERMINAL_COLS - 1));
+
+  const eraseInLine = (mode) => {
+    const line = lines[row];
+    if (mode === 0) {
+      line.chars.length = Math.min(line.chars.length, col);
+      line.styles.length = line.chars.length;
+    } else if (mode === 1) {
+      for (let i = 0; i <= col && i < line.chars.length; i++) line.chars[i] = ' ';
+    } else {
+      line.chars = [];
+      line.styles = [];
+    }
+  };
+
+  const csi = (params, final, privateMarker) => {
+    if (privateMarker) return;  // ESC[?25l and friends: cursor visibility, modes
+    const n = params[0] || 1;
+    switch (final) {
+      case 'm': style = applySgr(style, params.length ? params : [0]); styleId = internStyle(style); break;
+      case 'A': row = Math.max(screenTop(), row - n); break;
+      case 'B': row = screenRow(row + n); ensureRow(); break;
+      case 'C': col = screenCol(col + n); break;
+      case 'D': col = Math.max(0, col - n); break;
+      case 'E': row = screenRow(row + n); col = 0; ensureRow(); break;
+      case 'F': row = Math.max(screenTop(), row - n); col = 0; break;
+      case 'G': col = screenCol(n - 1); break;
+      case 'H':
+      case 'f':
+        row = screenRow(screenTop() + (params[0] || 1) - 1);
+        col = screenCol((params[1] || 1) - 1);
+        ensureRow();
+        break;
+      case 'K': eraseInLine(params[0] || 0); break;
+      case 'J':
+        if ((params[0] || 0) === 0) {
+          eraseInLine(0);
+          lines.splice(row + 1);
+        } else if (params[0] >= 2) {
+          // Clearing the screen keeps scrollback; start a fresh screen below it
+          lines.push({ chars: [], styles: [] });
+          row = lines.length - 1;
+          col = 0;
+          ensureRow();
+        }
+        break;
+    }
+  };
+
+  // Consume one escape sequence at the start of `text`. Returns its length,
+  // or 0 if it's cut off and needs the next write to finish.
+  const escape = (text) => {
+    if (text.length < 2) return 0;
+    const kind = text[1];
+    if (kind === '[') {
+      const match = text.match(/^\x1b\[([?>=]?)([\d;]*)([\x40-\x7e])/);
+      if (!match) return /^\x1b\[[?>=]?[\d;]*$/.test(text) ? 0 : 2;
+      csi(match[2] ? match[2].split(';').map(Number) : [], match[3], match[1]);
+      return match[0].length;
+    }
+    if (kind === ']') {
+      // OSC (window title etc.), ended by BEL or ESC \
+      const end = text.search(/\x07|\x1b\\/);
+      if (end === -1) return text.length >= 256 ? text.length : 0;
+      return end + (text[end] === '\x07' ? 1 : 2);
+    }
+    if ('()*+'.includes(kind)) return text.length < 3 ? 0 : 3;  // Character set selection
+    return 2;  // ESC =, ESC >, ESC 7, ...
+  };
+
+  const write = (data) => {
+    const text = pending + data;
+    pending = '';
+    let i = 0;
+    while (i < text.length) {
+      const ch = text[i];
+      if (ch === '\x1b') {
+        const length = escape(text.slice(i, i + 256));
+        if (length === 0) {
+          pending = text.slice(i);
+          return;
+        }
+        i += length;
+        continue;
+      }
+      if (ch === '\n') {
+        row++;
+        col = 0;
+        ensureRow();
+      } else if (ch === '\r') {
+        col = 0;
+      } else if (ch === '\b') {
+        col = Math.max(0, col - 1);
+      } else if (ch === '\t') {
+        col = (Math.floor(col / 8) + 1) * 8;
+      } else if (ch >= ' ' && ch !== '\x7f') {
+        put(ch);
+      }
+      i++;
+    }
+  };
+
+  const lineText = (index) => lines[index].chars.join('').trimEnd();
+
+  const lineHtml = (index) => {
+    const line = lines[index];
+    let html = '';
+    let start = 0;
+    for (let i = 1; i <= line.chars.length; i++) {
+      if (i === line.chars.length || line.styles[i] !== line.styles[start]) {
+        const text = escapeTerminalText(line.chars.slice(start, i).join(''));
+        const css = styleToCss(styles[line.styles[start]]);
+        html += css ? `<span style="${css}">${text}</span>` : text;
+        start = i;
+      }
+    }
+    return html;
+  };
+
+  // Index of the last line with something on it, or -1
+  const lastContentLine = () => {
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (lines[i].chars.some(c => c !== ' ')) return i;
+    }
+    return -1;
+  };
+
+  return {
+    write,
+    lineCount: () => lastContentLine() + 1,
+    lineText,
+    lineHtml,
+    lastLineText: () => {
+      const index = lastContentLine();
+      return index === -1 ? '' : lineText(index);
+    },
+  };
+}
+
+// ─── Rendering ─────────────────────────────────────────────────────
+
+// Render a screen into a scrollable element, building DOM only for the
+// lines in view (plus a margin). Keeps the view pinned to the bottom while
+// it's scrolled there, so new output stays visible.
+function renderTerminalScreen(el, screen) {
+  if (!el.terminalView) {
+    el.innerHTML = '<div class="terminal-spacer"><div class="terminal-lines"></div></div>';
+    el.terminalView = { pinned: true, screen };
+    el.addEventListener('scroll', () => {
+      el.terminalView.pinned = el.scrollTop + el.clientHeight >= el.scrollHeight - 4;
+      drawTerminalLines(el);
+    });
+  }
+  el.terminalView.screen = screen;
+  drawTerminalLines(el);
+  if (el.terminalView.pinned) {
+    el.scrollTop = el.scrollHeight;
+    drawTerminalLines(el);
+  }
+}
+
+function drawTerminalLines(el) {
+  const { screen } = el.terminalView;
+  const spacer = el.firstChild;
+  const container = spacer.firstChild;
+  const lineHeight = parseFloat(getComputedStyle(el).lineHeight) || 16;
+  const count = screen.lineCount();
+
+  spacer.style.height = `${count * lineHeight}px`;
+  const first = Math.max(0, Math.floor(el.scrollTop / lineHeight) - 20);
+  const last = Math.min(count, Math.ceil((el.scrollTop + el.clientHeight) / lineHeight) + 20);
+
+  container.style.transform = `translateY(${first * lineHeight}px)`;
+  let html = '';
+  for (let i = first; i < last; i++) {
+    html += `<div class="terminal-line">${screen.lineHtml(i) || ' '}</div>`;
+  }
+  container.innerHTML = html;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { TERMINAL_ROWS, TERMINAL_COLS, createTerminalScreen };
+}
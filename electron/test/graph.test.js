@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadConfigSource } = require('../config');
+const { resolveOrder, buildPlan, planScript, runScheduled } = require('../graph');
+
+// Load a config from its YAML text, the way the app and CLI do
+async function loadText(t, text) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'onboard-graph-'));
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  fs.writeFileSync(path.join(dir, 'team.onboard'), text);
+  return loadConfigSource(path.join(dir, 'team.onboard'));
+}
+
+function scriptFor(config) {
+  return planScript(config, buildPlan(config, () => false));
+}
+
+test('the plan script quotes project paths whole', async (t) => {
+  const config = await loadText(t, `schema_version: 2
+name: Team
+workspace:
+  - id: web
+    repo: https://github.com/acme/web
+    path: "~/Dev/it's web"
+`);
+  const script = scriptFor(config);
+  assert.match(script, /^if \[ ! -d "\$HOME"'\/Dev\/it'\\''s web\/\.git' \]; then$/m);
+  assert.match(script, /^  git clone -- 'https:\/\/github\.com\/acme\/web' "\$HOME"'\/Dev\/it'\\''s web'$/m);
+});
+
+test('text from the config stays commented out in the plan script', async (t) => {
+  const config = await loadText(t, `schema_version: 2
+name: "Team\\ntouch name"
+dependencies:
+  - id: brew
+    name: "Homebrew\\ntouch item"
+    check: which brew
+    install: echo install brew
+    post_install:
+      - profile: |
+          if [ -x /opt/homebrew/bin/brew ]; then
+            eval "$(/opt/homebrew/bin/brew shellenv)"
+          fi
+workspace:
+  - id: web
+    name: "Web\\ntouch project"
+    repo: https://github.com/acme/web
+    path: ~/Dev/web
+    run: "npm run dev\\ntouch run"
+accounts:
+  - id: github
+    name: "GitHub\\ntouch account"
+    check: gh auth status
+    login: "gh auth login\\ntouch login"
+files:
+  - id: rc
+    path: "~/.rc\\ntouch file"
+    content: x
+settings:
+  - id: dock
+    domain: com.apple.dock
+    key: tilesize
+    type: string
+    value: "48\\ntouch setting"
+`);
+  const script = scriptFor(config);
+  assert.deepStrictEqual(script.split('\n').filter(line => /^\s*(touch|eval)/.test(line)), []);
+  assert.match(script, /^  #   eval "\$\(\/opt\/homebrew\/bin\/brew shellenv\)"\n  # fi$/m);
+  assert.strictEqual(spawnSync('bash', ['-n'], { input: script }).status, 0);
+});
+
+// An item for each [id, depends_on], in that order
+function itemsText(entries) {
+  return entries.map(([id, deps]) => `  - id: ${id}
+    name: ${id}
+    check: "true"
+    install: "true"
+    depends_on: [${deps.join(', ')}]
+`).join('');
+}
+
+test('items come after every parent, and in file order otherwise', async (t) => {
+  const config = await loadText(t, `schema_version: 2
+name: Team
+dependencies:
+${itemsText([['app', ['node', 'python']], ['node', ['brew']], ['python', ['brew']], ['brew', []], ['git', []]])}`);
+  assert.deepStrictEqual(resolveOrder(config).map(item => item.id), ['brew', 'node', 'python', 'app', 'git']);
+});
+
+test('a dependency cycle is refused with its path', async (t) => {
+  await assert.rejects(loadText(t, `schema_version: 2
+name: Team
+dependencies:
+${itemsText([['git', []], ['node', ['npm']], ['npm', ['yarn']], ['yarn', ['node']]])}`), { message: 'Dependency cycle: node → npm → yarn → node' });
+  await assert.rejects(loadText(t, `schema_version: 2
+name: Team
+dependencies:
+${itemsText([['node', ['node']]])}`), { message: 'Dependency cycle: node → node' });
+});
+
+test('depending on an unknown id is refused', async (t) => {
+  await assert.rejects(loadText(t, `schema_version: 2
+name: Team
+dependencies:
+${itemsText([['node', ['brew']]])}`), { message: 'Item "node" depends on unknown id "brew"' });
+});
+
+// Schedule items given as [id, depends_on, install], where installs that
+// mention "fail" fail. Records each run's start and end in `events`;
+// with `haltAfter`, the batch halts once that item ends.
+async function schedule(entries, options = {}) {
+  const items = entries.map(([id, deps = [], install = `make ${id}`]) => ({ id, depends_on: deps, install }));
+  const installed = new Set(options.installed || []);
+  const events = [];
+  let active = 0;
+  let mostActive = 0;
+  const result = await runScheduled(items, {
+    concurrency: options.concurrency ?? 2,
+    halted: options.haltAfter ? () => events.includes(`end ${options.haltAfter}`) : undefined,
+    isSatisfied: id => installed.has(id),
+    run: async (item) => {
+      events.push(`start ${item.id}`);
+      mostActive = Math.max(mostActive, ++active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      events.push(`end ${item.id}`);
+      if (!item.install.includes('fail')) installed.add(item.id);
+    },
+  });
+  const ids = list => list.map(entry => (entry.item || entry).id);
+  return { events, mostActive, skipped: ids(result.skipped), notStarted: ids(result.notStarted), installed };
+}
+
+test('independent items run side by side, up to the concurrency', async () => {
+  const { events, mostActive } = await schedule([['git'], ['node'], ['python'], ['app', ['node']]]);
+  assert.strictEqual(mostActive, 2);
+  assert.deepStrictEqual(events.slice(0, 2), ['start git', 'start node']);
+  assert.ok(events.indexOf('start app') > events.indexOf('end node'));
+});
+
+test('items sharing a lock never run at the same time', async () => {
+  const { events } = await schedule([['git', [], 'brew install git'], ['wget', [], 'brew install wget'], ['node']]);
+  assert.deepStrictEqual(events.slice(0, 2), ['start git', 'start node']);
+  assert.ok(events.indexOf('start wget') > events.indexOf('end git'));
+});
+
+test('a failed item skips everything below it', async () => {
+  const { skipped, installed } = await schedule([['brew', [], 'fail'], ['node', ['brew']], ['app', ['node']], ['git']]);
+  assert.deepStrictEqual(skipped, ['node', 'app']);
+  assert.deepStrictEqual([...installed], ['git']);
+});
+
+test('an item whose parent is outside the batch and missing is skipped', async () => {
+  const { skipped, events } = await schedule([['node', ['brew']], ['git', ['xcode']]], { installed: ['xcode'] });
+  assert.deepStrictEqual(skipped, ['node']);
+  assert.deepStrictEqual(events, ['start git', 'end git']);
+});
+
+test('once halted, running items finish and the rest never start', async () => {
+  const { events, notStarted } = await schedule([['git', [], 'fail'], ['node'], ['python'], ['app', ['node']]], { haltAfter: 'git' });
+  assert.deepStrictEqual(events, ['start git', 'start node', 'end git', 'end node']);
+  assert.deepStrictEqual(notStarted, ['python', 'app']);
+});
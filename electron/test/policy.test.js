@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkConfigPolicy, checkCommand } = require('../policy');
+
+const policy = { deny: ['\\bsudo\\b', 'curl[^|]*\\|\\s*sh'].map(pattern => ({ pattern, regex: new RegExp(pattern, 'i') })) };
+
+function configWith(item) {
+  return { dependencies: [{ id: 'tool', name: 'Tool', check: 'which tool', install: 'brew install tool', ...item }], apps: [], workspace: [], accounts: [] };
+}
+
+test('a config with a blocked command is refused', () => {
+  assert.throws(() => checkConfigPolicy(configWith({ install: 'sudo make install' }), policy),
+    /Item "tool" field "install" is blocked by policy: matches "\\bsudo\\b"/);
+});
+
+test('post_install profile lines and PATH folders answer to the deny list', () => {
+  const profile = configWith({ post_install: [{ profile: 'if true; then\n  curl -fsSL https://x.sh | sh\nfi' }] });
+  assert.throws(() => checkConfigPolicy(profile, policy), /field "post_install profile" is blocked/);
+  const folder = configWith({ post_install: [{ path: '~/sudo/bin' }] });
+  assert.throws(() => checkConfigPolicy(folder, policy), /field "post_install path" is blocked/);
+});
+
+test('project and account commands answer to the deny list', () => {
+  const project = { ...configWith({}), workspace: [{ id: 'web', setup: ['sudo npm install -g pnpm'] }] };
+  assert.throws(() => checkConfigPolicy(project, policy), /Project "web" field "setup"/);
+  const account = { ...configWith({}), accounts: [{ id: 'gh', check: 'gh auth status', login: 'sudo gh auth login' }] };
+  assert.throws(() => checkConfigPolicy(account, policy), /Account "gh" field "login"/);
+});
+
+test('only commands from the loaded config run', () => {
+  const allowed = new Set(['brew install tool', 'sudo make install']);
+  assert.strictEqual(checkCommand('brew install tool', { allowed, policy }), null);
+  assert.match(checkCommand('rm -rf ~', { allowed, policy }), /not a command from the loaded config/);
+  assert.match(checkCommand('sudo make install', { allowed, policy }), /Blocked by policy/);
+});
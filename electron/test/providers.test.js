@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfigSource } = require('../config');
+const { configItems } = require('../graph');
+
+// Load a config from its YAML text, with `files` ({ name: text }) next to it
+async function loadText(t, text, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'onboard-providers-'));
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(dir, name), content));
+  fs.writeFileSync(path.join(dir, 'team.onboard'), text);
+  const config = await loadConfigSource(path.join(dir, 'team.onboard'));
+  return Object.fromEntries(configItems(config).map(item => [item.id, item]));
+}
+
+const TOOL_VERSIONS = 'python 3.12.1\n# the app\nnodejs 20.11.0\nruby 3.3.0\n';
+
+test('shorthand fills in the commands an item leaves out', async (t) => {
+  const items = await loadText(t, `schema_version: 2
+name: Team
+dependencies:
+  - id: jq
+    name: jq
+    brew: jq
+  - id: rg
+    name: ripgrep
+    brew: ripgrep
+    check: rg --version
+`);
+  assert.strictEqual(items.jq.install, 'brew install jq');
+  assert.strictEqual(items.jq.lock, 'homebrew');
+  assert.strictEqual(items.rg.check, 'rg --version');
+});
+
+test('version managers read their own line of .tool-versions', async (t) => {
+  const items = await loadText(t, `schema_version: 2
+name: Team
+dependencies:
+  - id: node
+    name: Node.js
+    nvm: .tool-versions
+  - id: python
+    name: Python
+    pyenv: .tool-versions
+  - id: ruby
+    name: Ruby
+    rbenv: .tool-versions
+  - id: mise-node
+    name: Node.js (mise)
+    mise: node
+`, { '.tool-versions': TOOL_VERSIONS });
+  assert.strictEqual(items.node.version, '20.11.0');
+  assert.strictEqual(items.python.version, '3.12.1');
+  assert.strictEqual(items.ruby.version, '3.3.0');
+  assert.strictEqual(items['mise-node'].version, '20.11.0');
+});
+
+test('a .tool-versions without the manager\'s tool is an error', async (t) => {
+  await assert.rejects(loadText(t, `schema_version: 2
+name: Team
+dependencies:
+  - id: node
+    name: Node.js
+    nvm: .tool-versions
+`, { '.tool-versions': 'python 3.12.1\n' }), /no nodejs version in \.tool-versions/);
+});
+
+test('.nvmrc gives its version without the v', async (t) => {
+  const items = await loadText(t, `schema_version: 2
+name: Team
+dependencies:
+  - id: node
+    name: Node.js
+    nvm: .nvmrc
+`, { '.nvmrc': 'v20.11.0\n' });
+  assert.strictEqual(items.node.version, '20.11.0');
+});
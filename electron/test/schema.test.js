@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { checkConfigText } = require('../config');
+
+const item = '  - id: git\n    name: Git\n    check: git --version\n    install: xcode-select --install\n';
+
+test('unknown fields are refused at every level', () => {
+  const cases = [
+    [`schema_version: 2\nname: Team\ntools: []\ndependencies:\n${item}`, /^Config has unknown field "tools" \(line 1/],
+    [`schema_version: 2\nname: Team\ndependencies:\n${item}    instal: brew install git\n`, /^Item "git" has unknown field "instal" \(line 4/],
+    [`schema_version: 2\nname: Team\ndependencies:\n${item}    post_install:\n      - shell: git --version\n`, /^Item "git" field "post_install.0" has unknown field "shell"/],
+    [`schema_version: 2\nname: Team\ndependencies: []\nfiles:\n  - id: npmrc\n    path: ~/.npmrc\n    content: x\n    owner: root\n`, /^File "npmrc" has unknown field "owner"/],
+    [`schema_version: 2\nname: Team\ndependencies: []\nworkspace:\n  - id: web\n    repo: https://example.com/web.git\n    path: ~/Dev/web\n    script: make\n`, /^Project "web" has unknown field "script"/],
+  ];
+  cases.forEach(([text, expected]) => assert.match(checkConfigText(text).error, expected));
+});
+
+test('ids must start with a letter or digit and hold no spaces or quotes', () => {
+  ['-rf', 'my tool', 'git"x', ''].forEach(id => {
+    const { error } = checkConfigText(`schema_version: 2\nname: Team\ndependencies:\n  - id: '${id.replace(/'/g, "''")}'\n    name: X\n    check: x\n    install: x\n`);
+    assert.match(error, /id" must match pattern/, id);
+  });
+  assert.strictEqual(checkConfigText(`schema_version: 2\nname: Team\ndependencies:\n  - id: node_20.x-lts\n    name: Node\n    check: node -v\n    install: x\n`).error, undefined);
+});
+
+test('the bundled examples still pass', () => {
+  const dir = path.join(__dirname, '..', 'examples');
+  fs.readdirSync(dir).forEach(name => {
+    assert.strictEqual(checkConfigText(fs.readFileSync(path.join(dir, name), 'utf8')).error, undefined, name);
+  });
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRange, satisfies, extractVersion } = require('../semver');
+
+// For each range, versions inside it and versions outside it
+const RANGES = {
+  '20': [['20.0.0', '20.11.1', 'v20'], ['19.9.9', '21.0.0']],
+  '20.11.0': [['20.11.0'], ['20.11.1', '20.10.9']],
+  '>=20 <23': [['20.0.0', '22.99.1'], ['19.9.9', '23.0.0']],
+  '>= 20 < 23': [['22.1.0'], ['23.0.0']],
+  '>20': [['21.0.0'], ['20.5.0']],
+  '<=20': [['20.9.0'], ['21.0.0']],
+  '^3.10': [['3.10.0', '3.99.0'], ['3.9.9', '4.0.0']],
+  '^0.2.3': [['0.2.3', '0.2.9'], ['0.2.2', '0.3.0']],
+  '^0.0.3': [['0.0.3'], ['0.0.4']],
+  '~1.22': [['1.22.0', '1.22.19'], ['1.21.9', '1.23.0']],
+  '~1': [['1.0.0', '1.99.0'], ['2.0.0']],
+  '1.2 - 1.4': [['1.2.0', '1.4.9'], ['1.1.9', '1.5.0']],
+  '18 || >=20': [['18.19.0', '22.0.0'], ['19.0.0', '17.9.9']],
+  '20.x': [['20.3.1'], ['21.0.0']],
+  '*': [['0.0.1', '99.0.0'], []],
+};
+
+test('versions in and out of each range', () => {
+  Object.entries(RANGES).forEach(([range, [inside, outside]]) => {
+    inside.forEach(version => assert.strictEqual(satisfies(version, range), true, `${version} in ${range}`));
+    outside.forEach(version => assert.strictEqual(satisfies(version, range), false, `${version} not in ${range}`));
+  });
+});
+
+test('a version is read from command output', () => {
+  assert.strictEqual(satisfies('Python 3.12.1', '^3.10'), true);
+  assert.strictEqual(satisfies('v20.11.1', 20), true);
+  assert.strictEqual(satisfies('not installed', '20'), null);
+});
+
+test('anything that is not a range is refused', () => {
+  ['banana', '>=', '20 || node'].forEach(range => {
+    assert.throws(() => parseRange(range), /is not a version/, range);
+  });
+});
+
+test('the version is the pattern\'s first group, or the first number', () => {
+  const output = 'git version 2.39.3 (Apple Git-145)';
+  assert.strictEqual(extractVersion(output), '2.39.3');
+  assert.strictEqual(extractVersion(output, 'Apple Git-(\\d+)'), '145');
+  assert.strictEqual(extractVersion(output, 'hg \\S+'), null);
+});
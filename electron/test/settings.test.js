@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { applySettings, revertSettings } = require('../settings');
+
+const dock = { id: 'dock-size', domain: 'com.apple.dock', key: 'tilesize', type: 'int', value: 48 };
+const apps = { id: 'dock-apps', domain: 'com.apple.dock', key: 'persistent-apps', type: 'string', value: '' };
+
+// A data folder and fake defaults file holding `defaults`
+function fakeDefaults(t, defaults) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'onboard-settings-'));
+  const file = path.join(dataDir, 'defaults.json');
+  fs.writeFileSync(file, JSON.stringify(defaults));
+  process.env.ONBOARD_DEFAULTS = file;
+  t.after(() => {
+    delete process.env.ONBOARD_DEFAULTS;
+    fs.rmSync(dataDir, { recursive: true });
+  });
+  return { dataDir, read: () => JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+test('applying saves the earlier value and reverting puts it back', async (t) => {
+  const { dataDir, read } = fakeDefaults(t, { 'com.apple.dock': { tilesize: { type: 'int', value: 64 } } });
+  const applied = await applySettings([dock], { dataDir });
+  assert.deepStrictEqual(applied.changed, ['dock-size']);
+  assert.strictEqual(read()['com.apple.dock'].tilesize.value, 48);
+
+  const reverted = await revertSettings([dock], { dataDir });
+  assert.deepStrictEqual(reverted.failed, []);
+  assert.strictEqual(read()['com.apple.dock'].tilesize.value, 64);
+});
+
+test('a key holding an array or dictionary is left as it is', async (t) => {
+  const list = { type: 'other', value: '(\n    { "tile-type" = "file-tile"; }\n)' };
+  const { dataDir, read } = fakeDefaults(t, { 'com.apple.dock': { 'persistent-apps': list } });
+  const applied = await applySettings([apps, dock], { dataDir });
+  assert.deepStrictEqual(applied.changed, ['dock-size']);
+  assert.deepStrictEqual(applied.failed.map(failure => failure.id), ['dock-apps']);
+  assert.deepStrictEqual(read()['com.apple.dock']['persistent-apps'], list);
+
+  const reverted = await revertSettings([apps, dock], { dataDir });
+  assert.deepStrictEqual(reverted.failed, []);
+  assert.deepStrictEqual(read()['com.apple.dock']['persistent-apps'], list);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TERMINAL_ROWS, TERMINAL_COLS, createTerminalScreen } = require('../terminal-screen');
+
+function screenOf(output) {
+  const screen = createTerminalScreen();
+  screen.write(output);
+  return screen;
+}
+
+test('carriage returns redraw a progress bar in place', () => {
+  const screen = screenOf('Downloading  10%\rDownloading  55%\rDownloading 100%\ndone\n');
+  assert.strictEqual(screen.lineCount(), 2);
+  assert.strictEqual(screen.lineText(0), 'Downloading 100%');
+});
+
+test('colors become styled spans with the text escaped', () => {
+  const screen = screenOf('\x1b[1;32m<ok>\x1b[0m done');
+  assert.strictEqual(screen.lineHtml(0), '<span style="color:#3fb950;font-weight:600">&lt;ok&gt;</span> done');
+});
+
+test('escape sequences split across writes are put back together', () => {
+  const screen = createTerminalScreen();
+  screen.write('a\x1b[3');
+  screen.write('1mb');
+  assert.strictEqual(screen.lineHtml(0), 'a<span style="color:#f85149">b</span>');
+});
+
+test('cursor movement stops at the bottom of the screen', () => {
+  for (const sequence of ['\x1b[999999999B', '\x1b[999999999E', '\x1b[999999999;1H']) {
+    const screen = screenOf(`${sequence}x`);
+    assert.strictEqual(screen.lineCount(), TERMINAL_ROWS, JSON.stringify(sequence));
+  }
+});
+
+test('cursor movement stops at the right edge of the screen', () => {
+  for (const sequence of ['\x1b[99999999C', '\x1b[99999999G', '\x1b[1;99999999H']) {
+    const screen = screenOf(`${sequence}x`);
+    assert.strictEqual(screen.lineText(0).length, TERMINAL_COLS, JSON.stringify(sequence));
+  }
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { signContent, generateKey, verifyContent, needsApproval } = require('../trust');
+
+const body = 'schema_version: 2\nname: Team\ndependencies:\n  - id: git\n    name: Git\n    check: git --version\n    install: xcode-select --install\n';
+const privateKey = generateKey();
+const signed = body + signContent(body, privateKey, 'Acme IT');
+const key = signed.match(/^# key: (.+)$/m)[1];
+const keyring = [{ name: 'Acme IT', key }];
+
+test('a signed config from a known publisher is trusted', () => {
+  assert.strictEqual(verifyContent(signed, null, keyring).status, 'trusted');
+});
+
+test('a config changed after signing is rejected', () => {
+  assert.throws(() => verifyContent(signed.replace('Team', 'Other'), null, keyring), /file was changed/);
+});
+
+test('content appended after the signature block is rejected', () => {
+  const appended = `${signed}env:\n  PATH: /tmp/evil\nfiles:\n  - id: rc\n    target: ~/.zshrc\n`;
+  assert.throws(() => verifyContent(appended, null, keyring), /followed by unsigned content/);
+});
+
+test('config lines inside the signature block are rejected', () => {
+  const injected = signed.replace('# signature:', 'env:\n  PATH: /tmp/evil\n# signature:');
+  assert.throws(() => verifyContent(injected, null, keyring), /Malformed signature block/);
+});
+
+test('trailing blank lines after the signature block are fine', () => {
+  assert.strictEqual(verifyContent(`${signed}\n\n`, null, keyring).status, 'trusted');
+});
+
+test('configs signed by trusted publishers load at any digest', () => {
+  const config = { digest: 'b', provenance: [{ status: 'trusted' }, { status: 'bundled' }] };
+  assert.strictEqual(needsApproval(config, undefined), false);
+  assert.strictEqual(needsApproval(config, 'a'), false);
+});
+
+test('other configs need approval of their exact digest', () => {
+  const config = { digest: 'b', provenance: [{ status: 'trusted' }, { status: 'unknown-publisher' }] };
+  assert.strictEqual(needsApproval(config, undefined), true);
+  assert.strictEqual(needsApproval(config, 'a'), true);
+  assert.strictEqual(needsApproval(config, 'b'), false);
+  assert.strictEqual(needsApproval({ digest: 'b', provenance: [{ status: 'unsigned' }] }, 'a'), true);
+});
@@ -0,0 +1,128 @@
+// trust.js — Signatures on .onboard files.
+// A publisher signs a config with an Ed25519 key. The signature goes
+// either at the end of the file, as a YAML comment block:
+//
+//   # -----BEGIN ONBOARD SIGNATURE-----
+//   # publisher: Acme IT
+//   # key: MCowBQYDK2VwAyEA...
+//   # signature: 3q2+7w...
+//   # -----END ONBOARD SIGNATURE-----
+//
+// or, with the same lines, in a detached <config>.sig file next to it.
+// An embedded signature covers everything above the block; a detached one
+// covers the whole file. A config is trusted when its signature verifies
+// and its key is in the local keyring.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const BEGIN = '# -----BEGIN ONBOARD SIGNATURE-----';
+const END = '# -----END ONBOARD SIGNATURE-----';
+
+// Split a file into the signed body and its embedded signature block, if any.
+function splitSignature(content) {
+  const start = content.lastIndexOf(BEGIN);
+  if (start === -1) return { body: content, block: null };
+  return { body: content.slice(0, start), block: content.slice(start) };
+}
+
+// The block must be all comments and end the file: anything else in or
+// after it would be read as config without being covered by the signature.
+function parseBlock(block) {
+  const end = block.indexOf(END);
+  if (end === -1) throw new Error('Malformed signature block');
+  const lines = block.slice(0, end).split('\n');
+  if (lines.some(line => line.trim() && !line.trim().startsWith('#'))) {
+    throw new Error('Malformed signature block');
+  }
+  if (block.slice(end + END.length).trim()) {
+    throw new Error('Signature block is followed by unsigned content');
+  }
+
+  const fields = {};
+  lines.forEach(line => {
+    const match = line.match(/^#\s*(publisher|key|signature):\s*(.+?)\s*$/);
+    if (match) fields[match[1]] = match[2];
+  });
+  if (!fields.key || !fields.signature) throw new Error('Malformed signature block');
+  return fields;
+}
+
+// Short, readable identifier for a public key
+function fingerprint(key) {
+  const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  return hash.match(/.{4}/g).join(':');
+}
+
+// Check a file against its embedded or detached signature. Returns
+// { status, publisher, key, fingerprint } with status one of 'unsigned',
+// 'unknown-publisher' or 'trusted'; throws if a signature is present but
+// doesn't match, since that means the file changed after it was signed.
+function verifyContent(content, detached, keyring) {
+  let { body, block } = splitSignature(content);
+  if (detached) {
+    body = content;
+    block = detached;
+  }
+  if (!block) return { status: 'unsigned' };
+
+  const { publisher, key, signature } = parseBlock(block);
+  const publicKey = crypto.createPublicKey({ key: Buffer.from(key, 'base64'), format: 'der', type: 'spki' });
+  if (!crypto.verify(null, Buffer.from(body), publicKey, Buffer.from(signature, 'base64'))) {
+    throw new Error('Signature does not match: the file was changed after it was signed');
+  }
+
+  const known = keyring.find(entry => entry.key === key);
+  return {
+    status: known ? 'trusted' : 'unknown-publisher',
+    publisher: known ? known.name : (publisher || 'unnamed publisher'),
+    key,
+    fingerprint: fingerprint(key),
+  };
+}
+
+// Signature block for `body`, made with a PEM private key
+function signContent(body, privateKeyPem, publisher) {
+  const privateKey = crypto.createPrivateKey(privateKeyPem);
+  const key = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }).toString('base64');
+  const signature = crypto.sign(null, Buffer.from(body), privateKey).toString('base64');
+  return [BEGIN, `# publisher: ${publisher}`, `# key: ${key}`, `# signature: ${signature}`, END, ''].join('\n');
+}
+
+// New Ed25519 private key, PEM encoded
+function generateKey() {
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  return privateKey.export({ type: 'pkcs8', format: 'pem' });
+}
+
+// Whether a loaded config needs the user's review before it runs, given
+// the digest they last approved for its source. Configs whose every file
+// is bundled or signed by a trusted publisher never do, whatever their
+// digest: the publisher vouches for each version they sign, so a re-signed
+// update loads like the first. Anything else runs only at the exact digest
+// the user approved, and any change to it asks again.
+function needsApproval(config, approvedDigest) {
+  const signed = config.provenance.every(p => p.status === 'bundled' || p.status === 'trusted');
+  return !signed && approvedDigest !== config.digest;
+}
+
+// ─── Keyring ───────────────────────────────────────────────────────
+
+// The keyring is a JSON file: { "publishers": [{ "name", "key" }] },
+// where key is the base64 DER public key from a signature block.
+function readKeyring(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).publishers || [];
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw new Error(`Could not read keyring ${file}: ${err.message}`);
+  }
+}
+
+function addPublisher(file, name, key) {
+  const publishers = readKeyring(file).filter(entry => entry.key !== key);
+  publishers.push({ name, key });
+  fs.writeFileSync(file, JSON.stringify({ publishers }, null, 2) + '\n');
+}
+
+module.exports = { splitSignature, verifyContent, needsApproval, signContent, generateKey, fingerprint, readKeyring, addPublisher };
@@ -0,0 +1,104 @@
+// workspace.js — The `workspace` section: the projects a new machine should
+// end up with, cloned and ready to run. Shared by the main process and the CLI.
+//
+//   workspace:
+//     - id: web
+//       name: Web app
+//       repo: https://github.com/acme/web
+//       path: ~/Dev/web                     # where the clone goes
+//       branch: main
+//       setup:                              # run in the clone, in order
+//         - npm install
+//       run: npm run dev                    # starts the project
+//       editor: code                        # opens the folder; default code
+//       depends_on: [git, node]
+//
+// A project counts as cloned when its folder is a git clone of its repo.
+// Setup commands run once, right after cloning, and can be run again from
+// the card; `run` is for the user to start, since it usually doesn't end.
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { shellQuote } = require('./policy');
+
+// The editor that opens a project without an `editor` of its own
+const DEFAULT_EDITOR = 'code';
+
+// The folder a project is cloned into. Paths start with ~/ and stay inside
+// the home folder.
+function projectPath(project) {
+  const home = os.homedir();
+  const target = path.resolve(home, String(project.path).replace(/^~\//, ''));
+  if (!target.startsWith(home + path.sep)) {
+    throw new Error(`Project "${project.id}": path must be inside the home folder`);
+  }
+  return target;
+}
+
+// The same repository however its URL is written: https://github.com/a/b,
+// https://github.com/a/b.git and git@github.com:a/b all read github.com/a/b
+function repoKey(url) {
+  const text = String(url).trim().replace(/\/+$/, '').replace(/\.git$/, '');
+  const scp = text.match(/^[^/@]+@([^:/]+):(.+)$/);
+  if (scp) return `${scp[1].toLowerCase()}/${scp[2]}`;
+  try {
+    const parsed = new URL(text);
+    return `${parsed.hostname.toLowerCase()}${parsed.pathname}`;
+  } catch {
+    return text;
+  }
+}
+
+// The command that clones a project
+function cloneCommand(project) {
+  const branch = project.branch ? `--branch ${shellQuote(project.branch)} ` : '';
+  return `git clone ${branch}-- ${shellQuote(project.repo)} ${shellQuote(projectPath(project))}`;
+}
+
+// The command that opens a project's folder in its editor
+function openCommand(project) {
+  return `${project.editor || DEFAULT_EDITOR} ${shellQuote(projectPath(project))}`;
+}
+
+// Where a project stands: { id, state, detail } with state 'cloned',
+// 'missing' (nothing there, or an empty folder), 'conflict' (something
+// else is in the way, explained by `detail`) or 'error'. `run(command)`
+// runs git to read the clone's remote.
+async function projectStatus(project, { run }) {
+  let dir;
+  try {
+    dir = projectPath(project);
+  } catch (err) {
+    return { id: project.id, state: 'error', error: err.message };
+  }
+
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return { id: project.id, state: 'missing' };
+    if (err.code === 'ENOTDIR') return { id: project.id, state: 'conflict', detail: `${project.path} is a file` };
+    return { id: project.id, state: 'error', error: err.message };
+  }
+  if (entries.length === 0) return { id: project.id, state: 'missing' };
+  if (!entries.includes('.git')) {
+    return { id: project.id, state: 'conflict', detail: `${project.path} has files but isn't a git clone` };
+  }
+
+  const result = await run(`git -C ${shellQuote(dir)} config --get remote.origin.url`);
+  if (!result.succeeded && result.stderr) return { id: project.id, state: 'error', error: result.stderr.trim() };
+  const origin = result.stdout.trim();
+  if (repoKey(origin) !== repoKey(project.repo)) {
+    return { id: project.id, state: 'conflict', detail: `${project.path} is a clone of ${origin || 'another repo'}` };
+  }
+  return { id: project.id, state: 'cloned' };
+}
+
+module.exports = {
+  DEFAULT_EDITOR,
+  projectPath,
+  cloneCommand,
+  openCommand,
+  projectStatus,
+};